@@ -0,0 +1,839 @@
+/**
+ * WY MovieBox - Catalog editor (admin.html)
+ * Loads videos_photos.json with its category files, edits them in the browser and exports
+ * validated files to replace the ones in the repo. Nothing is uploaded; unsaved edits are
+ * kept as a draft in localStorage until they are exported or discarded.
+ */
+
+const CATALOG_URL = 'videos_photos.json';
+const DRAFT_KEY = 'catalogEditorDraft';
+const INDEX_FILE = CATALOG_URL;
+// Key order of exported entries; anything else follows in its original order
+const ENTRY_KEY_ORDER = ['id', 'title', 'thumb', 'src', 'mirrors', 'seasons', 'year', 'duration', 'part', 'parts', 'genres', 'cast', 'description', 'subtitleBy', 'subtitles'];
+const FORM_KEYS = ['title', 'thumb', 'src', 'year', 'duration', 'genres', 'cast', 'description', 'subtitleBy'];
+const INLINE_OBJECT_KEYS = ['categories', 'sources']; // Their items are written on one line, as in videos_photos.json
+
+let catalog = null; // videos_photos.json; the lists of categories with a "file" live in `lists`
+let lists = {}; // List id ('trending', category ids) => entries
+let listFiles = {}; // List id => its file, or null when it is inline in videos_photos.json
+let changedFiles = new Set();
+let activeTab = 'entries';
+let activeList = null;
+let entryFilter = '';
+let translationFilter = '';
+let editingIndex = null; // Index in lists[activeList]; -1 while adding
+let draggedIndex = null;
+
+
+// -------------------------------------------------------------------------
+// 1. LOADING AND DRAFTS
+// -------------------------------------------------------------------------
+
+async function fetchJson(url) {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+    return response.json();
+}
+
+async function loadFromServer() {
+    try {
+        const data = await fetchJson(CATALOG_URL);
+        const fileLists = await Promise.all(getFileCategories(data).map(async meta => [meta.id, meta.file, await fetchJson(meta.file)]));
+        setCatalog(data, fileLists);
+        showStatus(`Loaded ${CATALOG_URL} and ${fileLists.length} category file(s).`);
+    } catch (e) {
+        showStatus(`Could not load the catalog: ${e.message}. Open the files instead.`, true);
+    }
+}
+
+// Categories whose movies are in their own file (inline "videos" win, as in the app)
+function getFileCategories(data) {
+    const inline = isPlainObject(data.videos) ? data.videos : {};
+    return (Array.isArray(data.categories) ? data.categories : []).filter(meta => meta && meta.file && inline[meta.id] === undefined);
+}
+
+function setCatalog(data, fileLists, changed = []) {
+    catalog = data;
+    lists = {};
+    listFiles = {};
+    Object.keys(isPlainObject(data.videos) ? data.videos : {}).forEach(id => {
+        lists[id] = data.videos[id];
+        listFiles[id] = null;
+    });
+    fileLists.forEach(([id, file, list]) => {
+        lists[id] = Array.isArray(list) ? list : [];
+        listFiles[id] = file;
+    });
+    delete catalog.videos; // Rebuilt from `lists` on export
+    changedFiles = new Set(changed);
+    if (!lists[activeList]) activeList = Object.keys(lists)[0] || null;
+    render();
+}
+
+// The catalog picked from disk: the object is videos_photos.json, arrays are matched to categories by file name
+window.openLocalFiles = async function(input) {
+    const files = [...input.files];
+    input.value = '';
+    try {
+        const parsed = await Promise.all(files.map(async file => ({ name: file.name, data: JSON.parse(await file.text()) })));
+        const index = parsed.find(file => isPlainObject(file.data));
+        if (!index) throw new Error(`pick ${CATALOG_URL} together with its category files`);
+
+        const fileLists = getFileCategories(index.data).map(meta => {
+            const match = parsed.find(file => Array.isArray(file.data) && file.name === meta.file.split('/').pop());
+            if (!match) throw new Error(`${meta.file} was not picked`);
+            return [meta.id, meta.file, match.data];
+        });
+        setCatalog(index.data, fileLists);
+        showStatus(`Opened ${parsed.length} file(s).`);
+    } catch (e) {
+        showStatus(`Could not open the files: ${e.message}`, true);
+    }
+}
+
+function saveDraft() {
+    try {
+        localStorage.setItem(DRAFT_KEY, JSON.stringify({ savedAt: Date.now(), catalog, lists, listFiles, changed: [...changedFiles] }));
+    } catch (e) { /* Error */ }
+}
+
+function readDraft() {
+    try {
+        const draft = JSON.parse(localStorage.getItem(DRAFT_KEY));
+        return draft && isPlainObject(draft.catalog) && isPlainObject(draft.lists) ? draft : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+window.restoreDraft = function() {
+    const draft = readDraft();
+    if (!draft) return;
+    const data = { ...draft.catalog, videos: {} };
+    const fileLists = [];
+    Object.keys(draft.lists).forEach(id => {
+        if (draft.listFiles[id]) fileLists.push([id, draft.listFiles[id], draft.lists[id]]);
+        else data.videos[id] = draft.lists[id];
+    });
+    setCatalog(data, fileLists, draft.changed || []);
+    showStatus('Restored your unsaved edits.');
+}
+
+window.discardDraft = function() {
+    try {
+        localStorage.removeItem(DRAFT_KEY);
+    } catch (e) { /* Error */ }
+    render();
+}
+
+function markChanged(file) {
+    changedFiles.add(file);
+    // A new version tells installed apps to look for new movies in the categories they opened
+    if (catalog.version !== undefined) {
+        catalog.version = new Date().toISOString().slice(0, 16); // e.g. 2026-10-19T20:30
+        changedFiles.add(INDEX_FILE);
+    }
+    saveDraft();
+}
+
+function showStatus(message, isError = false) {
+    const status = document.getElementById('status');
+    status.textContent = message;
+    status.className = `text-sm ${isError ? 'text-red-500' : 'text-gray-400'}`;
+}
+
+
+// -------------------------------------------------------------------------
+// 2. SOURCE LINKS (YouTube / mega.nz page links → embed src + thumbnail)
+// -------------------------------------------------------------------------
+
+/**
+ * A pasted link as catalog fields: { src, thumb? }, or null when it isn't a video link.
+ * Accepts watch / youtu.be / shorts / live / embed links, mega.nz file, embed and old #! links,
+ * and direct .mp4/.webm/.m3u8 files (kept as they are).
+ */
+function parseVideoLink(link) {
+    const text = String(link).trim();
+    const youtube = text.match(/(?:youtube(?:-nocookie)?\.com\/(?:watch\?(?:\S*&)?v=|embed\/|shorts\/|live\/|v\/)|youtu\.be\/)([\w-]{11})/);
+    if (youtube) {
+        return { src: `https://www.youtube.com/embed/${youtube[1]}`, thumb: `https://img.youtube.com/vi/${youtube[1]}/hqdefault.jpg` };
+    }
+
+    const mega = text.match(/mega(?:\.co)?\.nz\/(?:(?:file|embed)\/|#!)([\w-]{8})[#!]([\w-]{43})/);
+    if (mega) return { src: `https://mega.nz/embed/${mega[1]}#${mega[2]}` };
+
+    if (CatalogValidator.DIRECT_VIDEO_PATTERN.test(text)) return { src: text };
+    return null;
+}
+
+// Same IDs as the app: favorites and deep links are keyed by them
+const { deriveMovieId } = CatalogIds;
+
+window.applyPastedLink = function(link) {
+    const form = document.getElementById('entry-form');
+    const hint = document.getElementById('link-hint');
+    if (!link.trim()) {
+        hint.textContent = '';
+        return;
+    }
+    const parsed = parseVideoLink(link);
+    if (!parsed) {
+        hint.textContent = 'Not a YouTube, mega.nz or direct video link.';
+        hint.className = 'text-xs text-red-500';
+        return;
+    }
+    form.elements.src.value = parsed.src;
+    // A thumbnail that came from an earlier paste is replaced; one typed by hand is kept
+    if (parsed.thumb && (!form.elements.thumb.value || form.elements.thumb.dataset.derived === 'true')) {
+        form.elements.thumb.value = parsed.thumb;
+        form.elements.thumb.dataset.derived = 'true';
+        updateThumbPreview(parsed.thumb);
+    }
+    hint.textContent = parsed.thumb ? 'Embed link and thumbnail filled in.' : 'Embed link filled in; add a thumbnail URL.';
+    hint.className = 'text-xs text-green-500';
+}
+
+window.updateThumbPreview = function(url) {
+    const preview = document.getElementById('thumb-preview');
+    preview.classList.toggle('hidden', !url);
+    if (url) preview.src = url;
+}
+
+
+// -------------------------------------------------------------------------
+// 3. ENTRY LISTS (reorder, move between categories, delete)
+// -------------------------------------------------------------------------
+
+function getListLabel(id) {
+    const names = (catalog.translations && (catalog.translations.english || catalog.translations.myanmar)) || {};
+    const meta = (catalog.categories || []).find(category => category.id === id);
+    return `${meta && meta.icon ? meta.icon + ' ' : ''}${typeof names[id] === 'string' ? names[id] : id}`;
+}
+
+function getListFile(id) {
+    return listFiles[id] || INDEX_FILE;
+}
+
+function isSeriesEntry(entry) {
+    return Array.isArray(entry.seasons);
+}
+
+// Problems from the last validation, by list id and entry index
+function getEntryProblems(report) {
+    const problems = {};
+    const add = (items, level) => items.forEach(problem => {
+        const match = problem.path.match(/^(?:videos\.([\w-]+)|(\S+\.json))\[(\d+)\]/);
+        if (!match) return;
+        const id = match[1] || Object.keys(listFiles).find(listId => listFiles[listId] === match[2]);
+        if (!id) return;
+        const key = `${id}:${match[3]}`;
+        (problems[key] = problems[key] || []).push({ level, message: problem.message });
+    });
+    add(report.errors, 'error');
+    add(report.warnings, 'warning');
+    return problems;
+}
+
+function renderListMenu() {
+    return Object.keys(lists).map(id => `
+        <button onclick="selectList('${id}')" class="w-full flex justify-between items-center text-left text-sm px-3 py-2 rounded-lg transition duration-200 ${id === activeList ? 'active-category-blue' : 'bg-gray-800 text-white hover:bg-gray-700'}" aria-pressed="${id === activeList}">
+            <span class="truncate">${escapeHtml(getListLabel(id))}</span>
+            <span class="text-xs ${changedFiles.has(getListFile(id)) ? 'text-primary font-bold' : 'opacity-70'}">${lists[id].length}${changedFiles.has(getListFile(id)) ? ' •' : ''}</span>
+        </button>
+    `).join('');
+}
+
+function renderEntryRow(entry, index, problems) {
+    const issues = problems[`${activeList}:${index}`] || [];
+    const hasError = issues.some(issue => issue.level === 'error');
+    const filtered = Boolean(entryFilter);
+    const moveTargets = Object.keys(lists).filter(id => id !== activeList);
+    const source = isSeriesEntry(entry)
+        ? `${entry.seasons.length} season(s), ${entry.seasons.reduce((count, season) => count + ((season && season.episodes) || []).length, 0)} episode(s)`
+        : entry.src || '';
+
+    return `
+        <li class="flex items-center gap-2 p-2 rounded-lg bg-gray-800 ${hasError ? 'border border-red-500' : ''}" draggable="${!filtered}" ondragstart="startEntryDrag(event, ${index})" ondragover="event.preventDefault()" ondrop="dropEntry(event, ${index})">
+            <img src="${escapeHtml(entry.thumb || '')}" alt="" loading="lazy" class="w-20 aspect-video object-cover rounded bg-gray-700 flex-shrink-0">
+            <div class="min-w-0 flex-grow">
+                <p class="text-sm font-semibold truncate">${escapeHtml(entry.title || '(no title)')}</p>
+                <p class="text-xs text-gray-400 truncate">${escapeHtml(source)}</p>
+                ${issues.map(issue => `<p class="text-xs ${issue.level === 'error' ? 'text-red-500' : 'text-yellow-500'}">${escapeHtml(issue.message)}</p>`).join('')}
+            </div>
+            <div class="flex items-center gap-1 flex-shrink-0">
+                <button onclick="moveEntryBy(${index}, -1)" ${filtered || index === 0 ? 'disabled' : ''} class="px-2 py-1 rounded hover:bg-gray-700 disabled:opacity-30" aria-label="Move up">↑</button>
+                <button onclick="moveEntryBy(${index}, 1)" ${filtered || index === lists[activeList].length - 1 ? 'disabled' : ''} class="px-2 py-1 rounded hover:bg-gray-700 disabled:opacity-30" aria-label="Move down">↓</button>
+                <select onchange="moveEntryToList(${index}, this.value)" class="bg-gray-700 text-white text-xs p-1 rounded max-w-[7rem]" aria-label="Move to category">
+                    <option value="">Move to…</option>
+                    ${moveTargets.map(id => `<option value="${id}">${escapeHtml(getListLabel(id))}</option>`).join('')}
+                </select>
+                <button onclick="openEntryEditor(${index})" class="text-xs px-2 py-1 rounded border border-primary text-primary">Edit</button>
+                <button onclick="deleteEntry(${index})" class="text-xs px-2 py-1 rounded text-red-500 hover:bg-gray-700" aria-label="Delete">✕</button>
+            </div>
+        </li>
+    `;
+}
+
+function renderEntriesTab(report) {
+    if (!activeList) return '<p class="text-gray-400">The catalog has no categories.</p>';
+    const problems = getEntryProblems(report);
+    const filter = entryFilter.toLowerCase();
+    const rows = lists[activeList]
+        .map((entry, index) => ({ entry, index }))
+        .filter(({ entry }) => !filter || [entry.title, entry.src].some(text => String(text || '').toLowerCase().includes(filter)));
+
+    return `
+        <div class="grid md:grid-cols-[14rem_1fr] gap-4">
+            <aside class="space-y-2">
+                ${renderListMenu()}
+                <form onsubmit="addCategory(event)" class="pt-4 space-y-2 border-t border-gray-700">
+                    <p class="text-sm text-gray-400">New category (saved as catalog/&lt;id&gt;.json)</p>
+                    <div class="flex gap-2">
+                        <input name="icon" placeholder="🎬" maxlength="4" class="w-12 bg-gray-700 text-white text-sm p-2 rounded" aria-label="Icon">
+                        <input name="id" required pattern="[a-z0-9_-]+" placeholder="id, e.g. kdrama" class="flex-grow min-w-0 bg-gray-700 text-white text-sm p-2 rounded" aria-label="Category id">
+                    </div>
+                    <button class="w-full text-sm py-2 rounded-lg border border-primary text-primary">Add category</button>
+                </form>
+            </aside>
+            <section>
+                <div class="flex flex-wrap gap-2 items-center mb-3">
+                    <h2 class="text-xl font-bold text-primary flex-grow">${escapeHtml(getListLabel(activeList))} <span class="text-sm text-gray-400">${escapeHtml(getListFile(activeList))}</span></h2>
+                    <input type="search" value="${escapeHtml(entryFilter)}" oninput="filterEntries(this.value)" placeholder="Filter by title or link" class="bg-gray-800 text-white text-sm rounded-full px-3 py-1 border border-gray-700" aria-label="Filter entries">
+                    <button onclick="openEntryEditor(-1)" class="bg-primary text-black font-semibold text-sm px-4 py-2 rounded-lg">+ Add entry</button>
+                </div>
+                ${entryFilter ? '<p class="text-xs text-gray-400 mb-2">Clear the filter to reorder.</p>' : ''}
+                <ul id="entry-list" class="space-y-2">
+                    ${rows.length ? rows.map(({ entry, index }) => renderEntryRow(entry, index, problems)).join('') : '<li class="text-gray-400 text-sm">No entries.</li>'}
+                </ul>
+            </section>
+        </div>
+    `;
+}
+
+window.selectList = function(id) {
+    activeList = id;
+    entryFilter = '';
+    render();
+}
+
+window.filterEntries = function(text) {
+    entryFilter = text;
+    renderKeepingFocus(render);
+}
+
+function moveEntry(from, to) {
+    const list = lists[activeList];
+    if (to < 0 || to >= list.length || from === to) return;
+    list.splice(to, 0, list.splice(from, 1)[0]);
+    markChanged(getListFile(activeList));
+    render();
+}
+
+window.moveEntryBy = function(index, offset) {
+    moveEntry(index, index + offset);
+}
+
+window.startEntryDrag = function(event, index) {
+    draggedIndex = index;
+    event.dataTransfer.effectAllowed = 'move';
+}
+
+window.dropEntry = function(event, index) {
+    event.preventDefault();
+    if (draggedIndex !== null) moveEntry(draggedIndex, index);
+    draggedIndex = null;
+}
+
+// Moved entries go to the top of the other category, like new ones
+window.moveEntryToList = function(index, targetId) {
+    if (!lists[targetId]) return;
+    const [entry] = lists[activeList].splice(index, 1);
+    lists[targetId].unshift(entry);
+    markChanged(getListFile(activeList));
+    markChanged(getListFile(targetId));
+    showStatus(`Moved "${entry.title}" to ${getListLabel(targetId)}.`);
+    render();
+}
+
+window.deleteEntry = function(index) {
+    const entry = lists[activeList][index];
+    if (!confirm(`Delete "${entry.title}"?`)) return;
+    lists[activeList].splice(index, 1);
+    markChanged(getListFile(activeList));
+    render();
+}
+
+window.addCategory = function(event) {
+    event.preventDefault();
+    const form = event.target;
+    const id = form.elements.id.value.trim();
+    if (lists[id]) return showStatus(`"${id}" already exists.`, true);
+
+    const meta = { id, file: `catalog/${id}.json` };
+    if (form.elements.icon.value.trim()) meta.icon = form.elements.icon.value.trim();
+    catalog.categories = [...(catalog.categories || []), meta];
+    lists[id] = [];
+    listFiles[id] = meta.file;
+    // Every language needs a display name; the empty ones show up in Translations
+    Object.values(catalog.translations || {}).forEach(messages => {
+        if (messages[id] === undefined) messages[id] = '';
+    });
+    markChanged(INDEX_FILE);
+    markChanged(meta.file);
+    activeList = id;
+    render();
+}
+
+
+// -------------------------------------------------------------------------
+// 4. ENTRY EDITOR
+// -------------------------------------------------------------------------
+
+function joinList(value) {
+    return Array.isArray(value) ? value.join(', ') : '';
+}
+
+function splitList(text) {
+    return text.split(/[,၊]/).map(item => item.trim()).filter(Boolean);
+}
+
+// Fields without their own input (seasons, mirrors, subtitles, part/parts, id) are edited as JSON
+function getExtraFields(entry) {
+    const extra = {};
+    Object.keys(entry).filter(key => !FORM_KEYS.includes(key)).forEach(key => { extra[key] = entry[key]; });
+    return extra;
+}
+
+window.openEntryEditor = function(index) {
+    editingIndex = index;
+    const entry = index === -1 ? {} : lists[activeList][index];
+    const description = isPlainObject(entry.description) ? entry.description : { english: entry.description || '' };
+    const extra = getExtraFields(entry);
+    const field = (name, label, value, attributes = '') => `
+        <label class="block text-sm">
+            <span class="text-gray-400">${label}</span>
+            <input name="${name}" value="${escapeHtml(value === undefined ? '' : value)}" ${attributes} class="mt-1 w-full bg-gray-700 text-white p-2 rounded">
+        </label>
+    `;
+
+    document.getElementById('editor-content').innerHTML = `
+        <form id="entry-form" onsubmit="saveEntry(event)" class="space-y-3">
+            <h2 id="editor-title" class="text-xl font-bold text-primary">${index === -1 ? `Add to ${escapeHtml(getListLabel(activeList))}` : 'Edit entry'}</h2>
+            ${isSeriesEntry(entry) ? '' : `
+            <label class="block text-sm">
+                <span class="text-gray-400">Paste a YouTube or mega.nz link</span>
+                <input name="link" oninput="applyPastedLink(this.value)" placeholder="https://youtu.be/… or https://mega.nz/file/…" class="mt-1 w-full bg-gray-700 text-white p-2 rounded">
+                <span id="link-hint" class="text-xs"></span>
+            </label>
+            ${field('src', 'Embed src', entry.src, 'required')}`}
+            ${field('title', 'Title', entry.title, 'required')}
+            ${field('thumb', 'Thumbnail URL', entry.thumb, 'oninput="this.dataset.derived=false;updateThumbPreview(this.value)"')}
+            <img id="thumb-preview" src="${escapeHtml(entry.thumb || '')}" alt="" class="${entry.thumb ? '' : 'hidden'} w-40 aspect-video object-cover rounded">
+            <div class="grid grid-cols-2 gap-3">
+                ${field('year', 'Year', entry.year, 'type="number" min="1880" max="2100"')}
+                ${field('duration', 'Duration (minutes)', entry.duration, 'type="number" min="1"')}
+            </div>
+            ${field('genres', 'Genres (comma separated)', joinList(entry.genres))}
+            ${field('cast', 'Cast (comma separated)', joinList(entry.cast))}
+            <div class="grid sm:grid-cols-2 gap-3">
+                <label class="block text-sm">
+                    <span class="text-gray-400">Description (Myanmar)</span>
+                    <textarea name="descriptionMyanmar" rows="4" class="mt-1 w-full bg-gray-700 text-white p-2 rounded">${escapeHtml(description.myanmar || '')}</textarea>
+                </label>
+                <label class="block text-sm">
+                    <span class="text-gray-400">Description (English)</span>
+                    <textarea name="descriptionEnglish" rows="4" class="mt-1 w-full bg-gray-700 text-white p-2 rounded">${escapeHtml(description.english || '')}</textarea>
+                </label>
+            </div>
+            ${field('subtitleBy', 'Subtitles by', entry.subtitleBy)}
+            <label class="block text-sm">
+                <span class="text-gray-400">Other fields as JSON (id, mirrors, subtitles, part, parts${isSeriesEntry(entry) ? ', seasons' : ''})</span>
+                <textarea name="extra" rows="${isSeriesEntry(entry) ? 10 : 3}" spellcheck="false" class="mt-1 w-full bg-gray-700 text-white p-2 rounded font-mono text-xs">${escapeHtml(Object.keys(extra).length ? JSON.stringify(extra, null, 2) : '')}</textarea>
+            </label>
+            <div id="editor-problems" class="space-y-1" role="alert"></div>
+            <div class="flex gap-2 pt-2">
+                <button type="submit" class="flex-grow bg-primary text-black font-semibold py-2 rounded-lg">Save</button>
+                <button type="button" onclick="closeEntryEditor()" class="px-4 py-2 rounded-lg bg-gray-700 text-white">Cancel</button>
+            </div>
+        </form>
+    `;
+    document.getElementById('editor-modal').classList.remove('hidden');
+    document.getElementById('entry-form').elements[isSeriesEntry(entry) ? 'title' : 'link'].focus();
+}
+
+window.closeEntryEditor = function() {
+    document.getElementById('editor-modal').classList.add('hidden');
+    editingIndex = null;
+}
+
+function readEntryForm(form, original) {
+    const entry = JSON.parse(form.elements.extra.value.trim() || '{}');
+    if (!isPlainObject(entry)) throw new Error('"Other fields" must be a JSON object');
+
+    const text = name => form.elements[name] ? form.elements[name].value.trim() : '';
+    const number = name => (text(name) ? Number(text(name)) : undefined);
+    const description = { myanmar: text('descriptionMyanmar'), english: text('descriptionEnglish') };
+    Object.assign(entry, {
+        title: text('title'),
+        thumb: text('thumb'),
+        src: isSeriesEntry(entry) ? undefined : text('src'),
+        year: number('year'),
+        duration: number('duration'),
+        genres: splitList(text('genres')),
+        cast: splitList(text('cast')),
+        description,
+        subtitleBy: text('subtitleBy'),
+    });
+
+    // A new src would give the movie a new ID and drop it from everyone's favorites; keep the old one
+    if (original && original.src && entry.src && entry.src !== original.src && !entry.id && !original.id
+        && deriveMovieId(entry.src) !== deriveMovieId(original.src)) {
+        entry.id = deriveMovieId(original.src);
+    }
+    return cleanEntry(entry);
+}
+
+window.saveEntry = function(event) {
+    event.preventDefault();
+    const form = event.target;
+    const problemsBox = document.getElementById('editor-problems');
+    const original = editingIndex === -1 ? null : lists[activeList][editingIndex];
+    let entry;
+    try {
+        entry = readEntryForm(form, original);
+    } catch (e) {
+        problemsBox.innerHTML = `<p class="text-sm text-red-500">${escapeHtml(e.message)}</p>`;
+        return;
+    }
+
+    const report = CatalogValidator.validateCategoryFile([entry], { path: 'entry' });
+    problemsBox.innerHTML = [...report.errors.map(p => ['text-red-500', p]), ...report.warnings.map(p => ['text-yellow-500', p])]
+        .map(([color, problem]) => `<p class="text-sm ${color}">${escapeHtml(problem.path.replace(/^entry\[0\]\.?/, ''))} ${escapeHtml(problem.message)}</p>`).join('');
+    if (report.errors.length) return;
+
+    if (editingIndex === -1) lists[activeList].unshift(entry);
+    else lists[activeList][editingIndex] = entry;
+    markChanged(getListFile(activeList));
+    if (entry.id && original && !original.id) showStatus(`Kept the old ID "${entry.id}" so favorites and shared links still work.`);
+    closeEntryEditor();
+    render();
+}
+
+
+// -------------------------------------------------------------------------
+// 5. TRANSLATIONS (Myanmar and English side by side)
+// -------------------------------------------------------------------------
+
+function getTranslationLanguages() {
+    const languages = Object.keys(catalog.translations || {});
+    // Myanmar first: it's what most curators write in
+    return languages.sort((a, b) => (b === 'myanmar') - (a === 'myanmar'));
+}
+
+function renderMessageInput(language, key, message) {
+    const missing = message === undefined || message === '';
+    const attributes = form => `data-language="${language}" data-key="${escapeHtml(key)}" ${form ? `data-form="${form}"` : ''} onchange="updateTranslation(this)"`;
+    const inputClass = `w-full bg-gray-700 text-white text-sm p-2 rounded ${missing ? 'border border-red-500' : ''}`;
+
+    // Plural messages ({ one, other }) get one input per form
+    if (isPlainObject(message)) {
+        return Object.keys(message).map(form => `
+            <label class="flex items-center gap-2 text-xs text-gray-400 mb-1">
+                <span class="w-10">${form}</span>
+                <input value="${escapeHtml(message[form])}" ${attributes(form)} class="${inputClass}">
+            </label>
+        `).join('');
+    }
+    return `<textarea rows="1" ${attributes()} class="${inputClass}" aria-label="${escapeHtml(`${key} (${language})`)}">${escapeHtml(message || '')}</textarea>`;
+}
+
+function renderTranslationsTab() {
+    const translations = catalog.translations || {};
+    const languages = getTranslationLanguages();
+    const keys = [...new Set(languages.flatMap(language => Object.keys(translations[language] || {})))];
+    const filter = translationFilter.toLowerCase();
+    const shown = keys.filter(key => !filter || key.toLowerCase().includes(filter)
+        || languages.some(language => JSON.stringify(translations[language][key] || '').toLowerCase().includes(filter)));
+
+    return `
+        <div class="flex flex-wrap gap-2 items-center mb-3">
+            <input type="search" value="${escapeHtml(translationFilter)}" oninput="filterTranslations(this.value)" placeholder="Filter keys and text" class="flex-grow bg-gray-800 text-white text-sm rounded-full px-3 py-1 border border-gray-700" aria-label="Filter translations">
+            <form onsubmit="addTranslationKey(event)" class="flex gap-2">
+                <input name="key" required pattern="[A-Za-z0-9_-]+" placeholder="newKey" class="bg-gray-700 text-white text-sm p-2 rounded" aria-label="New key">
+                <button class="text-sm px-3 rounded-lg border border-primary text-primary">Add key</button>
+            </form>
+        </div>
+        <table class="w-full text-left text-sm">
+            <thead>
+                <tr class="text-gray-400">
+                    <th class="p-2 w-48">Key</th>
+                    ${languages.map(language => `<th class="p-2 capitalize">${escapeHtml(language)}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody id="translation-rows">
+                ${shown.map(key => `
+                    <tr class="border-t border-gray-700 align-top">
+                        <td class="p-2 font-mono text-xs break-all">${escapeHtml(key)}</td>
+                        ${languages.map(language => `<td class="p-2">${renderMessageInput(language, key, translations[language][key])}</td>`).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+window.filterTranslations = function(text) {
+    translationFilter = text;
+    renderKeepingFocus(render);
+}
+
+window.updateTranslation = function(input) {
+    const messages = catalog.translations[input.dataset.language];
+    const key = input.dataset.key;
+    if (input.dataset.form) {
+        messages[key] = { ...(isPlainObject(messages[key]) ? messages[key] : {}), [input.dataset.form]: input.value };
+    } else {
+        messages[key] = input.value;
+    }
+    input.classList.toggle('border', !input.value.trim());
+    input.classList.toggle('border-red-500', !input.value.trim());
+    markChanged(INDEX_FILE);
+    renderHeader();
+}
+
+window.addTranslationKey = function(event) {
+    event.preventDefault();
+    const key = event.target.elements.key.value.trim();
+    const languages = getTranslationLanguages();
+    if (languages.some(language => catalog.translations[language][key] !== undefined)) return showStatus(`"${key}" already exists.`, true);
+    languages.forEach(language => { catalog.translations[language][key] = ''; });
+    translationFilter = key;
+    markChanged(INDEX_FILE);
+    render();
+}
+
+
+// -------------------------------------------------------------------------
+// 6. VALIDATION AND EXPORT
+// -------------------------------------------------------------------------
+
+// Trimmed strings, no empty values, keys in ENTRY_KEY_ORDER (episodes too)
+function cleanEntry(entry) {
+    const clean = {};
+    const keys = [...ENTRY_KEY_ORDER.filter(key => key in entry), ...Object.keys(entry).filter(key => !ENTRY_KEY_ORDER.includes(key))];
+    keys.forEach(key => {
+        const value = cleanValue(key === 'seasons' && Array.isArray(entry.seasons)
+            ? entry.seasons.map(season => (isPlainObject(season) && Array.isArray(season.episodes) ? { ...season, episodes: season.episodes.map(cleanEntry) } : season))
+            : entry[key]);
+        if (value !== undefined) clean[key] = value;
+    });
+    return clean;
+}
+
+function cleanValue(value) {
+    if (typeof value === 'string') return value.trim() || undefined;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+    if (Array.isArray(value)) {
+        const items = value.map(cleanValue).filter(item => item !== undefined);
+        return items.length ? items : undefined;
+    }
+    if (isPlainObject(value)) {
+        const object = {};
+        Object.keys(value).forEach(key => {
+            const item = cleanValue(value[key]);
+            if (item !== undefined) object[key] = item;
+        });
+        return Object.keys(object).length ? object : undefined;
+    }
+    return value === null ? undefined : value;
+}
+
+function buildIndexFile() {
+    const videos = {};
+    Object.keys(lists).filter(id => listFiles[id] === null).forEach(id => { videos[id] = lists[id].map(cleanEntry); });
+    // "videos" goes back where it was (after "categories" in videos_photos.json)
+    const data = {};
+    Object.keys(catalog).forEach(key => {
+        data[key] = catalog[key];
+        if (key === 'categories') data.videos = videos;
+    });
+    if (!data.videos) data.videos = videos;
+    return data;
+}
+
+function buildFiles() {
+    const files = { [INDEX_FILE]: buildIndexFile() };
+    Object.keys(lists).filter(id => listFiles[id]).forEach(id => { files[listFiles[id]] = lists[id].map(cleanEntry); });
+    return files;
+}
+
+function validateAll() {
+    const files = buildFiles();
+    const categoryFiles = {};
+    Object.keys(lists).filter(id => listFiles[id]).forEach(id => { categoryFiles[id] = files[listFiles[id]]; });
+    const report = CatalogValidator.validateCatalog(files[INDEX_FILE], { categoryFiles });
+    // The validator accepts "" as a message; here it means a key or category name nobody filled in yet
+    Object.keys(catalog.translations || {}).forEach(language => {
+        Object.keys(catalog.translations[language] || {}).forEach(key => {
+            const message = catalog.translations[language][key];
+            const texts = isPlainObject(message) ? Object.values(message) : [message];
+            if (texts.some(text => typeof text === 'string' && !text.trim())) {
+                report.errors.push({ path: `translations.${language}.${key}`, message: 'empty translation' });
+            }
+        });
+    });
+    return report;
+}
+
+/**
+ * JSON in the layout of the repo's files: 4-space indent, arrays of plain values on one line,
+ * and the items of "categories" / "sources" and plural messages as one-line objects.
+ */
+function formatJson(value, indent = '', key = null) {
+    const inner = indent + '    ';
+    const isPlain = item => item === null || typeof item !== 'object';
+    if (Array.isArray(value)) {
+        if (!value.length) return '[]';
+        if (value.every(isPlain)) return `[${value.map(item => JSON.stringify(item)).join(', ')}]`;
+        return `[\n${value.map(item => inner + formatJson(item, inner, INLINE_OBJECT_KEYS.includes(key) ? 'inline' : null)).join(',\n')}\n${indent}]`;
+    }
+    if (isPlainObject(value)) {
+        const keys = Object.keys(value);
+        if (!keys.length) return '{}';
+        if ((key === 'inline' && keys.every(name => isPlain(value[name]))) || CatalogValidator.isTranslationMessage(value)) {
+            return `{ ${keys.map(name => `${JSON.stringify(name)}: ${JSON.stringify(value[name])}`).join(', ')} }`;
+        }
+        return `{\n${keys.map(name => `${inner}${JSON.stringify(name)}: ${formatJson(value[name], inner, name)}`).join(',\n')}\n${indent}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function renderProblemList(items, color) {
+    return items.map(problem => `<li class="text-sm ${color}"><span class="font-mono text-xs">${escapeHtml(problem.path)}</span> ${escapeHtml(problem.message)}</li>`).join('');
+}
+
+function renderExportTab(report) {
+    const files = Object.keys(buildFiles());
+    const canExport = report.errors.length === 0;
+    return `
+        <div class="max-w-3xl space-y-4">
+            <p class="text-sm text-gray-400">Download the changed files and replace them in the repo (same paths). Files with errors can't be exported: the app would skip those entries.</p>
+            <ul class="space-y-2">
+                ${files.map(file => `
+                    <li class="flex items-center justify-between p-2 rounded-lg bg-gray-800">
+                        <span class="font-mono text-sm ${changedFiles.has(file) ? 'text-primary' : ''}">${escapeHtml(file)}${changedFiles.has(file) ? ' • changed' : ''}</span>
+                        <button onclick="downloadFile('${escapeHtml(file)}')" ${canExport ? '' : 'disabled'} class="text-sm px-3 py-1 rounded-lg border border-primary text-primary disabled:opacity-30">Download</button>
+                    </li>
+                `).join('')}
+            </ul>
+            <div class="flex gap-2">
+                <button onclick="downloadChangedFiles()" ${canExport && changedFiles.size ? '' : 'disabled'} class="bg-primary text-black font-semibold px-4 py-2 rounded-lg disabled:opacity-30">Download changed files (${changedFiles.size})</button>
+                <button onclick="discardChanges()" ${changedFiles.size ? '' : 'disabled'} class="px-4 py-2 rounded-lg bg-gray-700 text-white disabled:opacity-30">Discard edits</button>
+            </div>
+            <h3 class="text-lg font-semibold">${report.errors.length} error(s), ${report.warnings.length} warning(s)</h3>
+            <ul class="space-y-1">
+                ${renderProblemList(report.errors, 'text-red-500')}
+                ${renderProblemList(report.warnings, 'text-yellow-500')}
+            </ul>
+        </div>
+    `;
+}
+
+window.downloadFile = function(file) {
+    const report = validateAll();
+    if (report.errors.length) return showStatus('Fix the errors before exporting.', true);
+
+    const blob = new Blob([formatJson(buildFiles()[file]) + '\n'], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = file.split('/').pop();
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+window.downloadChangedFiles = function() {
+    const files = [...changedFiles];
+    // Browsers drop downloads that start at the same moment
+    files.forEach((file, index) => setTimeout(() => downloadFile(file), index * 400));
+    setTimeout(() => {
+        changedFiles = new Set();
+        discardDraft();
+        showStatus(`Exported ${files.length} file(s).`);
+    }, files.length * 400);
+}
+
+window.discardChanges = function() {
+    if (changedFiles.size && !confirm('Discard all edits and reload the catalog?')) return;
+    discardDraft();
+    loadFromServer();
+}
+
+
+// -------------------------------------------------------------------------
+// 7. PAGE
+// -------------------------------------------------------------------------
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+// Re-renders while typing in a filter box without losing the caret
+function renderKeepingFocus(renderView) {
+    const active = document.activeElement;
+    const position = active && active.selectionStart;
+    const label = active && active.getAttribute('aria-label');
+    renderView();
+    const input = label && document.querySelector(`[aria-label="${label}"]`);
+    if (input) {
+        input.focus();
+        input.setSelectionRange(position, position);
+    }
+}
+
+function renderHeader() {
+    const report = validateAll();
+    document.querySelectorAll('.tab-btn').forEach(btn => {
+        const isActive = btn.dataset.tab === activeTab;
+        btn.classList.toggle('active-category-blue', isActive);
+        btn.setAttribute('aria-selected', String(isActive));
+    });
+    document.getElementById('problem-count').textContent = report.errors.length ? `${report.errors.length} error(s)` : '';
+    return report;
+}
+
+function render() {
+    const content = document.getElementById('editor-main');
+    const draft = readDraft();
+    document.getElementById('draft-banner').classList.toggle('hidden', !draft || changedFiles.size > 0);
+    if (draft) document.getElementById('draft-time').textContent = new Date(draft.savedAt).toLocaleString();
+    if (!catalog) return;
+
+    const report = renderHeader();
+    if (activeTab === 'translations') content.innerHTML = renderTranslationsTab();
+    else if (activeTab === 'export') content.innerHTML = renderExportTab(report);
+    else content.innerHTML = renderEntriesTab(report);
+}
+
+window.selectTab = function(tab) {
+    activeTab = tab;
+    render();
+}
+
+window.addEventListener('beforeunload', event => {
+    if (changedFiles.size) event.preventDefault(); // The draft is kept, but say so before leaving
+});
+
+document.addEventListener('keydown', event => {
+    if (event.key === 'Escape' && editingIndex !== null) closeEntryEditor();
+});
+
+window.addEventListener('DOMContentLoaded', () => {
+    render();
+    loadFromServer();
+});
@@ -0,0 +1,83 @@
+/**
+ * WY MovieBox - Stable movie IDs and the movie index
+ * Shared by the app and the catalog editor (admin.js): favorites, history and deep links are keyed
+ * by these IDs, so both must derive them the same way.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CatalogIds = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    // Short, stable hash for sources we can't parse (FNV-1a, base 36)
+    function hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(36);
+    }
+
+    // IDs come from the video source (YouTube video id / mega.nz file handle), so adding or
+    // reordering entries in videos_photos.json never points a saved favorite at another film.
+    function deriveMovieId(src) {
+        const youtube = String(src).match(/(?:youtube(?:-nocookie)?\.com\/(?:embed\/|watch\?v=)|youtu\.be\/)([\w-]{11})/);
+        if (youtube) return 'yt-' + youtube[1];
+
+        const mega = String(src).match(/mega\.nz\/(?:embed|file)\/([\w-]+)/);
+        if (mega) return 'mega-' + mega[1];
+
+        return 'src-' + hashString(String(src));
+    }
+
+    function isSeries(movie) {
+        return Boolean(movie) && Array.isArray(movie.seasons);
+    }
+
+    // All episodes in watch order, across seasons
+    function getSeriesEpisodes(series) {
+        return series.seasons.reduce((episodes, season) => episodes.concat(season.episodes), []);
+    }
+
+    // A series is named after its first episode
+    function getEntryId(movie) {
+        if (movie.id) return movie.id;
+        return isSeries(movie) ? 'series-' + getEntryId(movie.seasons[0].episodes[0]) : deriveMovieId(movie.src);
+    }
+
+    // Assigns IDs (episodes also learn their series and position) and adds everything playable to
+    // `index` (id => { movie, category }). Trending repeats category entries; the category copy wins
+    // whichever is indexed first.
+    function indexCategory(index, category, movies) {
+        const addToIndex = movie => {
+            const existing = index.get(movie.id);
+            if (!existing || existing.category === 'trending') index.set(movie.id, { movie, category });
+        };
+
+        movies.forEach(movie => {
+            if (isSeries(movie)) {
+                movie.seasons.forEach((season, seasonIndex) => {
+                    season.episodes.forEach((episode, episodeIndex) => {
+                        if (!episode.id) episode.id = deriveMovieId(episode.src);
+                        episode.thumb = episode.thumb || movie.thumb;
+                        Object.assign(episode, { seasonIndex, episodeIndex });
+                    });
+                });
+                if (!movie.id) movie.id = getEntryId(movie);
+                getSeriesEpisodes(movie).forEach(episode => {
+                    episode.seriesId = movie.id;
+                    addToIndex(episode);
+                });
+            } else if (!movie.id) {
+                movie.id = getEntryId(movie);
+            }
+            addToIndex(movie);
+        });
+        return index;
+    }
+
+    return { hashString, deriveMovieId, isSeries, getSeriesEpisodes, getEntryId, indexCategory };
+});
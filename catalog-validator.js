@@ -0,0 +1,419 @@
+/**
+ * WY MovieBox - Catalog validator for videos_photos.json and the category files it lists
+ * Shared by the app (bad entries are skipped with a warning) and by tools/validate-catalog.js.
+ * The rules mirror catalog.schema.json; keep both in sync when the catalog format changes.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CatalogValidator = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const SUPPORTED_HOSTS = ['www.youtube.com', 'youtube.com', 'www.youtube-nocookie.com', 'mega.nz'];
+    const YOUTUBE_EMBED_PATTERN = /^https:\/\/(www\.)?youtube(-nocookie)?\.com\/embed\/[\w-]{11}(\?.*)?$/;
+    const MEGA_EMBED_PATTERN = /^https:\/\/mega\.nz\/embed\/[\w-]{8}#[\w-]{43}$/;
+    const DIRECT_VIDEO_PATTERN = /^https:\/\/[^\s?#]+\.(mp4|m4v|webm|m3u8)([?#]\S*)?$/i; // Played with <video>, any host
+    const SUBTITLE_PATTERN = /^https?:\/\/[^\s?#]+\.(srt|vtt)([?#]\S*)?$/i;
+    const THUMB_PATTERN = /^(https?:\/\/|data:image\/)/;
+    const CATEGORY_FILE_PATTERN = /^(?!\/)(?!.*\.\.)[\w./-]+\.json$/; // Relative to the catalog, e.g. "catalog/action.json"
+    const ENTRY_KEYS = ['id', 'title', 'thumb', 'src', 'year', 'duration', 'genres', 'cast', 'description', 'subtitleBy', 'part', 'parts', 'subtitles', 'mirrors'];
+    const SERIES_KEYS = ['id', 'title', 'thumb', 'seasons', 'year', 'duration', 'genres', 'cast', 'description', 'subtitleBy'];
+    const SEASON_KEYS = ['title', 'episodes'];
+
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // A UI string, or plural forms { one, other, ... } (see i18n.js)
+    function isTranslationMessage(value) {
+        return typeof value === 'string'
+            || (isPlainObject(value) && typeof value.other === 'string'
+                && Object.keys(value).every(key => ['zero', 'one', 'two', 'few', 'many', 'other'].includes(key) && typeof value[key] === 'string'));
+    }
+
+    function getHost(url) {
+        const match = String(url).match(/^https?:\/\/([^/?#]+)/i);
+        return match ? match[1].toLowerCase() : null;
+    }
+
+    function editDistance(a, b) {
+        let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const next = [i];
+            for (let j = 1; j <= b.length; j++) {
+                next.push(Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)));
+            }
+            row = next;
+        }
+        return row[b.length];
+    }
+
+    function closestMatch(name, candidates) {
+        const ranked = candidates
+            .map(candidate => ({ candidate, distance: editDistance(name.toLowerCase(), candidate.toLowerCase()) }))
+            .sort((a, b) => a.distance - b.distance);
+        return ranked.length && ranked[0].distance <= 2 ? ranked[0].candidate : null;
+    }
+
+    /**
+     * Problem with a playable source URL (`src` or one of `mirrors`), or null when it can be played.
+     */
+    function validateSrc(src) {
+        if (typeof src !== 'string' || !src.trim()) return 'missing "src"';
+        if (DIRECT_VIDEO_PATTERN.test(src)) return null;
+
+        const host = getHost(src);
+        if (!host || !SUPPORTED_HOSTS.includes(host)) {
+            return `unsupported src host "${host || src}" (use a YouTube/mega.nz embed or a direct .mp4/.webm/.m3u8 URL)`;
+        }
+        if (host.includes('youtube') && !YOUTUBE_EMBED_PATTERN.test(src)) {
+            return 'malformed YouTube embed URL (expected https://www.youtube.com/embed/<11-char id>)';
+        }
+        if (host === 'mega.nz' && !MEGA_EMBED_PATTERN.test(src)) {
+            return 'malformed mega.nz embed URL (expected https://mega.nz/embed/<handle>#<key>)';
+        }
+        return null;
+    }
+
+    /**
+     * Problems with a single movie entry. An entry with any of these can't be played and is skipped.
+     */
+    function validateEntry(entry) {
+        if (!isPlainObject(entry)) return ['entry must be an object'];
+
+        const problems = [];
+        if (typeof entry.title !== 'string' || !entry.title.trim()) problems.push('missing "title"');
+        if (entry.id !== undefined && (typeof entry.id !== 'string' || !/^[\w-]+$/.test(entry.id))) {
+            problems.push('"id" must only contain letters, digits, "_" and "-"');
+        }
+
+        const srcProblem = validateSrc(entry.src);
+        if (srcProblem) problems.push(srcProblem);
+
+        if (entry.thumb !== undefined && (typeof entry.thumb !== 'string' || !THUMB_PATTERN.test(entry.thumb))) {
+            problems.push('"thumb" must be an http(s) or data:image URL');
+        }
+        return problems;
+    }
+
+    function isPositiveInteger(value) {
+        return Number.isInteger(value) && value > 0;
+    }
+
+    function isStringArray(value) {
+        return Array.isArray(value) && value.every(item => typeof item === 'string');
+    }
+
+    /**
+     * Problems with the optional metadata of an entry. The entry still plays; the detail sheet ignores bad fields.
+     */
+    function validateMetadata(entry) {
+        const problems = [];
+        if (entry.year !== undefined && !(isPositiveInteger(entry.year) && entry.year >= 1880 && entry.year <= 2100)) problems.push('"year" must be a year like 2019');
+        if (entry.duration !== undefined && !isPositiveInteger(entry.duration)) problems.push('"duration" must be whole minutes');
+        if (entry.genres !== undefined && !isStringArray(entry.genres)) problems.push('"genres" must be an array of strings');
+        if (entry.cast !== undefined && !isStringArray(entry.cast)) problems.push('"cast" must be an array of strings');
+        if (entry.subtitleBy !== undefined && typeof entry.subtitleBy !== 'string') problems.push('"subtitleBy" must be a string');
+        if (entry.description !== undefined && typeof entry.description !== 'string'
+            && !(isPlainObject(entry.description) && Object.values(entry.description).every(text => typeof text === 'string'))) {
+            problems.push('"description" must be a string or { "myanmar": "...", "english": "..." }');
+        }
+        if (entry.part !== undefined && !isPositiveInteger(entry.part)) problems.push('"part" must be a number starting at 1');
+        if (entry.parts !== undefined && !isPositiveInteger(entry.parts)) problems.push('"parts" must be a positive number');
+        if (isPositiveInteger(entry.part) && isPositiveInteger(entry.parts) && entry.part > entry.parts) problems.push('"part" is greater than "parts"');
+        if (entry.mirrors !== undefined) {
+            if (!Array.isArray(entry.mirrors)) {
+                problems.push('"mirrors" must be an array of alternate src URLs');
+            } else {
+                entry.mirrors.forEach((mirror, index) => {
+                    const mirrorProblem = validateSrc(mirror);
+                    if (mirrorProblem) problems.push(`mirrors[${index}]: ${mirrorProblem} (skipped)`);
+                    else if (mirror === entry.src) problems.push(`mirrors[${index}] is the same as "src"`);
+                });
+            }
+        }
+        if (entry.subtitles !== undefined) {
+            if (!Array.isArray(entry.subtitles) || !entry.subtitles.every(track => isPlainObject(track) && SUBTITLE_PATTERN.test(track.src)
+                && ['lang', 'label'].every(key => track[key] === undefined || typeof track[key] === 'string'))) {
+                problems.push('"subtitles" must be an array of { "src": "<.srt or .vtt URL>", "lang"?: "my", "label"?: "..." }');
+            } else if (!DIRECT_VIDEO_PATTERN.test(entry.src || '')) {
+                problems.push('"subtitles" only apply to direct video files (embeds show their own subtitles)');
+            }
+        }
+        return problems;
+    }
+
+    /**
+     * Checks lists of movies and series, including against each other (duplicate ids, srcs and titles).
+     * The returned function gives the entries of a list that can be played; problems go to errors/warnings.
+     */
+    function createEntryChecker(errors, warnings) {
+        const seenIds = new Map();
+        const seenSrcs = new Map();
+        const seenTitles = new Map();
+
+        function claimId(entry, path) {
+            if (entry.id === undefined) return true;
+            if (seenIds.has(entry.id)) {
+                errors.push({ path, message: `duplicate id "${entry.id}" (also ${seenIds.get(entry.id)})` });
+                return false;
+            }
+            seenIds.set(entry.id, path);
+            return true;
+        }
+
+        function checkUnknownFields(object, allowedKeys, path) {
+            Object.keys(object).filter(key => !allowedKeys.includes(key)).forEach(key => {
+                warnings.push({ path, message: `unknown field "${key}"` });
+            });
+        }
+
+        // A movie or an episode; false when it has to be skipped
+        function checkPlayable(entry, path, { isEpisode = false } = {}) {
+            const problems = validateEntry(entry);
+            if (problems.length) {
+                problems.forEach(message => errors.push({ path, message }));
+                return false;
+            }
+
+            checkUnknownFields(entry, ENTRY_KEYS, path);
+            validateMetadata(entry).forEach(message => warnings.push({ path, message }));
+            if (!entry.thumb && !isEpisode) warnings.push({ path, message: 'missing "thumb" (a placeholder is shown)' });
+            if (!claimId(entry, path)) return false;
+
+            const src = entry.src.trim();
+            if (seenSrcs.has(src)) warnings.push({ path, message: `duplicate src (also ${seenSrcs.get(src)})` });
+            else seenSrcs.set(src, path);
+
+            const title = entry.title.trim().toLowerCase();
+            if (seenTitles.has(title)) warnings.push({ path, message: `duplicate title "${entry.title.trim()}" (also ${seenTitles.get(title)})` });
+            else seenTitles.set(title, path);
+            return true;
+        }
+
+        // A series keeps only its valid episodes; null when none are left
+        function checkSeries(series, path) {
+            if (typeof series.title !== 'string' || !series.title.trim()) {
+                errors.push({ path, message: 'missing "title"' });
+                return null;
+            }
+            if (series.src !== undefined) {
+                errors.push({ path, message: 'a series has "seasons" instead of "src"' });
+                return null;
+            }
+            if (!Array.isArray(series.seasons) || series.seasons.length === 0) {
+                errors.push({ path, message: '"seasons" must be a non-empty array' });
+                return null;
+            }
+
+            checkUnknownFields(series, SERIES_KEYS, path);
+            validateMetadata(series).forEach(message => warnings.push({ path, message }));
+            if (!series.thumb) warnings.push({ path, message: 'missing "thumb" (a placeholder is shown)' });
+            if (series.thumb !== undefined && (typeof series.thumb !== 'string' || !THUMB_PATTERN.test(series.thumb))) {
+                errors.push({ path, message: '"thumb" must be an http(s) or data:image URL' });
+                return null;
+            }
+            if (series.id !== undefined && (typeof series.id !== 'string' || !/^[\w-]+$/.test(series.id))) {
+                errors.push({ path, message: '"id" must only contain letters, digits, "_" and "-"' });
+                return null;
+            }
+            if (!claimId(series, path)) return null;
+
+            const seasons = [];
+            series.seasons.forEach((season, seasonIndex) => {
+                const seasonPath = `${path}.seasons[${seasonIndex}]`;
+                if (!isPlainObject(season) || !Array.isArray(season.episodes)) {
+                    errors.push({ path: seasonPath, message: 'a season must be an object with an "episodes" array' });
+                    return;
+                }
+                checkUnknownFields(season, SEASON_KEYS, seasonPath);
+                const episodes = season.episodes.filter((episode, episodeIndex) => checkPlayable(episode, `${seasonPath}.episodes[${episodeIndex}]`, { isEpisode: true }));
+                if (episodes.length) seasons.push({ ...season, episodes });
+            });
+
+            if (seasons.length === 0) {
+                errors.push({ path, message: 'series has no playable episodes' });
+                return null;
+            }
+            return { ...series, seasons };
+        }
+
+        return function checkList(list, listPath) {
+            const kept = [];
+            list.forEach((entry, index) => {
+                const path = `${listPath}[${index}]`;
+                if (isPlainObject(entry) && entry.seasons !== undefined) {
+                    const series = checkSeries(entry, path);
+                    if (series) kept.push(series);
+                } else if (checkPlayable(entry, path)) {
+                    kept.push(entry);
+                }
+            });
+            return kept;
+        };
+    }
+
+    /**
+     * Validates a parsed catalog.
+     * options.usedTranslationKeys: keys referenced by data-i18n attributes, checked in every language.
+     * options.categoryFiles: category id => parsed contents of its categories[].file, checked together
+     * with the inline videos (the app loads these files later and checks them with validateCategoryFile).
+     * options.remoteSource: a catalog listed in "sources"; the app ignores its "translations".
+     * Returns { errors, warnings, videos } where `videos` only keeps the entries that passed.
+     * Each problem is { path, message }.
+     */
+    function validateCatalog(data, options = {}) {
+        const errors = [];
+        const warnings = [];
+        const videos = {};
+
+        if (!isPlainObject(data)) {
+            errors.push({ path: '', message: 'catalog must be a JSON object' });
+            return { errors, warnings, videos };
+        }
+
+        const translations = isPlainObject(data.translations) ? data.translations : {};
+        const languages = Object.keys(translations);
+        if (options.remoteSource) {
+            if (data.translations !== undefined) {
+                warnings.push({ path: 'translations', message: 'not used for a remote catalog; name its categories in the bundled catalog' });
+            }
+        } else if (!isPlainObject(data.translations)) {
+            errors.push({ path: 'translations', message: 'missing "translations" object' });
+        }
+
+        if (data.version !== undefined && typeof data.version !== 'string' && typeof data.version !== 'number') {
+            errors.push({ path: 'version', message: 'must be a string or number that changes with every update' });
+        }
+
+        // Remote catalogs merged over this one, in order
+        if (data.sources !== undefined && !Array.isArray(data.sources)) {
+            errors.push({ path: 'sources', message: 'must be an array of { id, url }' });
+        }
+        const sourceIds = [];
+        (Array.isArray(data.sources) ? data.sources : []).forEach((source, index) => {
+            const path = `sources[${index}]`;
+            if (!isPlainObject(source) || typeof source.id !== 'string' || !/^[\w-]+$/.test(source.id)) {
+                errors.push({ path, message: 'must be an object with an "id" of letters, digits, "_" and "-"' });
+                return;
+            }
+            if (typeof source.url !== 'string' || !/^https?:\/\/\S+$/.test(source.url)) errors.push({ path, message: '"url" must be an http(s) URL' });
+            if (sourceIds.includes(source.id)) errors.push({ path, message: `source "${source.id}" is listed twice` });
+            sourceIds.push(source.id);
+        });
+
+        // Translation keys must exist in every language
+        const allKeys = new Set(options.usedTranslationKeys || []);
+        languages.forEach(lang => {
+            if (!isPlainObject(translations[lang])) {
+                errors.push({ path: `translations.${lang}`, message: 'must be an object of strings (or plural forms)' });
+                return;
+            }
+            Object.keys(translations[lang]).forEach(key => allKeys.add(key));
+        });
+        languages.filter(lang => isPlainObject(translations[lang])).forEach(lang => {
+            allKeys.forEach(key => {
+                if (!isTranslationMessage(translations[lang][key])) {
+                    const usedInHtml = (options.usedTranslationKeys || []).includes(key);
+                    errors.push({ path: `translations.${lang}.${key}`, message: `missing translation${usedInHtml ? ' (used by data-i18n)' : ''}` });
+                }
+            });
+        });
+
+        // Menu order, icons and the files of categories that are loaded on demand
+        const listedCategories = [];
+        const fileCategories = [];
+        if (data.categories !== undefined && !Array.isArray(data.categories)) {
+            errors.push({ path: 'categories', message: 'must be an array of { id, icon }' });
+        }
+        (Array.isArray(data.categories) ? data.categories : []).forEach((meta, index) => {
+            const path = `categories[${index}]`;
+            if (!isPlainObject(meta) || typeof meta.id !== 'string' || !/^[\w-]+$/.test(meta.id)) {
+                errors.push({ path, message: 'must be an object with an "id" of letters, digits, "_" and "-"' });
+                return;
+            }
+            if (meta.icon !== undefined && typeof meta.icon !== 'string') errors.push({ path, message: '"icon" must be a string' });
+            if (listedCategories.includes(meta.id)) errors.push({ path, message: `category "${meta.id}" is listed twice` });
+            const hasInlineVideos = isPlainObject(data.videos) && data.videos[meta.id] !== undefined;
+            if (meta.file !== undefined) {
+                if (typeof meta.file !== 'string' || !CATEGORY_FILE_PATTERN.test(meta.file)) {
+                    errors.push({ path, message: '"file" must be a relative path to a .json file, like "catalog/action.json"' });
+                } else if (hasInlineVideos) {
+                    warnings.push({ path, message: `"videos.${meta.id}" is used and "file" is ignored (keep one of them)` });
+                } else {
+                    fileCategories.push(meta);
+                }
+            } else if (!hasInlineVideos) {
+                warnings.push({ path, message: `no videos for category "${meta.id}" (it is not shown)` });
+            }
+            languages.forEach(lang => {
+                if (isPlainObject(translations[lang]) && typeof translations[lang][meta.id] !== 'string') {
+                    warnings.push({ path, message: `no ${lang} display name for "${meta.id}"` });
+                }
+            });
+            listedCategories.push(meta.id);
+        });
+
+        // A category is known when it is listed or has a display name; anything else is most likely a typo
+        const namedCategories = languages.length
+            ? Object.keys(translations[languages[0]] || {}).filter(key => languages.every(lang => isPlainObject(translations[lang]) && typeof translations[lang][key] === 'string'))
+            : [];
+        const knownCategories = [...new Set([...listedCategories, ...namedCategories])];
+
+        const checkList = createEntryChecker(errors, warnings);
+        if (data.videos !== undefined ? !isPlainObject(data.videos) : fileCategories.length === 0) {
+            errors.push({ path: 'videos', message: 'missing "videos" object' });
+            return { errors, warnings, videos };
+        }
+
+        Object.keys(data.videos || {}).forEach(category => {
+            const list = data.videos[category];
+            if (!Array.isArray(list)) {
+                errors.push({ path: `videos.${category}`, message: 'category must be an array of movies' });
+                return;
+            }
+            if (!/^[\w-]+$/.test(category)) {
+                errors.push({ path: `videos.${category}`, message: 'category names may only contain letters, digits, "_" and "-"' });
+                return;
+            }
+            if (category !== 'trending' && !knownCategories.includes(category)) {
+                const suggestion = closestMatch(category, knownCategories);
+                errors.push({ path: `videos.${category}`, message: `unknown category (not in "categories" and no translation for it)${suggestion ? `; did you mean "${suggestion}"?` : ''}` });
+            }
+
+            videos[category] = checkList(list, `videos.${category}`);
+        });
+
+        const categoryFiles = options.categoryFiles || {};
+        fileCategories.filter(meta => categoryFiles[meta.id] !== undefined).forEach(meta => {
+            if (!Array.isArray(categoryFiles[meta.id])) {
+                errors.push({ path: meta.file, message: 'a category file must be an array of movies' });
+                return;
+            }
+            videos[meta.id] = checkList(categoryFiles[meta.id], meta.file);
+        });
+
+        return { errors, warnings, videos };
+    }
+
+    /**
+     * Validates a category file on its own, as the app loads it.
+     * options.path: the file name used in problem paths.
+     * Returns { errors, warnings, videos } where `videos` is the list of entries that passed.
+     */
+    function validateCategoryFile(list, options = {}) {
+        const errors = [];
+        const warnings = [];
+        const path = options.path || 'file';
+        if (!Array.isArray(list)) {
+            errors.push({ path, message: 'a category file must be an array of movies' });
+            return { errors, warnings, videos: [] };
+        }
+        const videos = createEntryChecker(errors, warnings)(list, path);
+        return { errors, warnings, videos };
+    }
+
+    return { validateCatalog, validateCategoryFile, validateEntry, validateMetadata, validateSrc, isTranslationMessage, SUPPORTED_HOSTS, DIRECT_VIDEO_PATTERN };
+});
@@ -0,0 +1,141 @@
+/**
+ * WY MovieBox - i18n (translation lookup, interpolation, plurals, DOM attributes)
+ * Messages are strings with {placeholders}, or plural forms keyed by Intl.PluralRules category:
+ *   "playCount": { "one": "{count} play", "other": "{count} plays" }
+ * Lookups walk the language's fallback chain; keys found nowhere are reported once through onMissing.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.I18n = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+    // data-i18n sets textContent; data-i18n-<attribute> sets that attribute
+    const TRANSLATED_ATTRIBUTES = ['placeholder', 'title', 'alt', 'aria-label'];
+
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function isPluralMessage(value) {
+        return isPlainObject(value)
+            && typeof value.other === 'string'
+            && Object.keys(value).every(key => PLURAL_CATEGORIES.includes(key) && typeof value[key] === 'string');
+    }
+
+    function isMessage(value) {
+        return typeof value === 'string' || isPluralMessage(value);
+    }
+
+    function interpolate(text, params = {}) {
+        return String(text).replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+    }
+
+    // Plural forms are picked by params.count
+    function format(message, params = {}, locale = 'en') {
+        if (isPluralMessage(message)) {
+            let category = 'other';
+            if (typeof params.count === 'number') {
+                try {
+                    category = new Intl.PluralRules(locale).select(params.count);
+                } catch (e) {
+                    category = params.count === 1 ? 'one' : 'other';
+                }
+                if (params.count === 0 && message.zero !== undefined) category = 'zero';
+            }
+            message = message[category] !== undefined ? message[category] : message.other;
+        }
+        return interpolate(message, params);
+    }
+
+    /**
+     * [language, ...its fallbacks, ...their fallbacks, ...defaultChain] without repeats.
+     * languages: { id: { fallback: ['english'] } }
+     */
+    function resolveChain(language, languages, defaultChain = []) {
+        const chain = [];
+        const visit = id => {
+            if (chain.includes(id) || !languages[id]) return;
+            chain.push(id);
+            (languages[id].fallback || []).forEach(visit);
+        };
+        visit(language);
+        defaultChain.forEach(visit);
+        return chain;
+    }
+
+    /**
+     * options.languages: { id: { code, name, fallback: [ids] } }
+     * options.messages: { id: { key: message } }
+     * options.language: the selected id; options.defaultChain: tried after the language's own fallbacks
+     * options.onMissing(key, chain): called once per key that no language in the chain has
+     *
+     * `messages` is a lookup object for the `t.key || 'English fallback'` style: every key
+     * resolves through the chain, and plural messages come back as their "other" form.
+     */
+    function createTranslator(options) {
+        const languages = options.languages || {};
+        const allMessages = options.messages || {};
+        const chain = resolveChain(options.language, languages, options.defaultChain);
+        const language = chain[0] || options.language;
+        const locale = (languages[language] && languages[language].code) || 'en';
+        const reported = new Set();
+
+        function lookup(key) {
+            for (const id of chain) {
+                const messages = allMessages[id];
+                if (messages && isMessage(messages[key])) return messages[key];
+            }
+            if (!reported.has(key) && options.onMissing) {
+                reported.add(key);
+                options.onMissing(key, chain);
+            }
+            return undefined;
+        }
+
+        function t(key, params, fallback) {
+            const message = lookup(key);
+            if (message === undefined) return fallback !== undefined ? format(fallback, params, locale) : key;
+            return format(message, params, locale);
+        }
+
+        const messages = new Proxy({}, {
+            get(target, key) {
+                if (typeof key !== 'string') return undefined;
+                const message = lookup(key);
+                return isPluralMessage(message) ? message.other : message;
+            },
+            has(target, key) {
+                return typeof key === 'string' && chain.some(id => allMessages[id] && isMessage(allMessages[id][key]));
+            },
+        });
+
+        // Keys some language defines that `language` itself lacks (they are shown from a fallback)
+        function missingKeys() {
+            const own = allMessages[language] || {};
+            const keys = new Set();
+            Object.keys(allMessages).forEach(id => Object.keys(allMessages[id] || {}).forEach(key => keys.add(key)));
+            return [...keys].filter(key => !isMessage(own[key])).sort();
+        }
+
+        return { language, locale, chain, t, messages, missingKeys };
+    }
+
+    function translateDom(root, translator) {
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            const text = translator.messages[el.dataset.i18n];
+            if (text) el.textContent = text;
+        });
+        TRANSLATED_ATTRIBUTES.forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(el => {
+                const text = translator.messages[el.getAttribute(`data-i18n-${attribute}`)];
+                if (text) el.setAttribute(attribute, text);
+            });
+        });
+    }
+
+    return { createTranslator, translateDom, format, interpolate, resolveChain, isMessage, isPluralMessage, TRANSLATED_ATTRIBUTES };
+});
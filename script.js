@@ -6,16 +6,32 @@
 
 // Global state variables
 let videos = {};
-let translations = {};
+let categoryMeta = []; // Menu order and icons: [{ id, icon }]
+let categoryParts = {}; // Category id => [{ videos } or { file }] from each catalog source, see section 19
+let categoryLoads = {}; // Category id => promise of its files, see loadCategory
+let allCategoriesLoad = null; // See loadAllCategories
+let allCategoriesTried = false;
+let translations = {}; // Language id => messages (catalog languages + i18n/<file>.json)
 let favorites = [];
+let collections = []; // Named lists: [{ id, name, items: [movieId] }], see section 16
 let currentPlayingMovie = null; 
+let movieIndex = new Map(); // id => { movie, category } for movies, series and episodes
 let currentSettings = {};
+let watchHistory = {}; // movieId => { title, thumb, lastWatched, playCount, plays, position, duration }
+let parentalLock = {}; // { salt, hash, iterations, hideAdult, failedAttempts, lockedUntil }, see section 15
+let playbackFailures = {}; // src => { movieId, title, category, reason, count, firstFailed, lastFailed }
+let catalogSources = []; // [{ id, url, version }] in merge order, see section 19
+let categoryVisits = {}; // Category => { signature, ids } when it was last opened, see section 19
+let legacyIdMap = null; // 'v42' => stable ID, only loaded when old IDs are found
 
 const defaultSettings = {
     language: 'myanmar',
-    theme: 'dark', // 'dark' or 'light'
+    theme: 'dark', // 'system', 'dark', 'light' or 'amoled', see section 22
+    accent: '', // '#RRGGBB', or '' for the theme's own accent
+    favoritesSort: 'added', // 'added', 'title' or 'category'
 };
 
+const APP_VERSION = '9.8';
 const ADULT_WEBVIEW_URL = 'https://allkar.vercel.app/';
 const MODAPP_WEBVIEW_URL = 'https://myanmar-tv.vercel.app/'; 
 
@@ -24,33 +40,173 @@ const MODAPP_WEBVIEW_URL = 'https://myanmar-tv.vercel.app/';
 // 1. DATA FETCHING AND INITIALIZATION
 // -------------------------------------------------------------------------
 
+// The bundled catalog plus the remote ones it lists (a remote that fails to load is left out)
 async function loadDataFromJSON() {
     try {
-        const response = await fetch('videos_photos.json');
+        const bundled = await fetchCatalogSource(BUNDLED_CATALOG);
+        const remote = await Promise.all(getRemoteSources(bundled.data).map(source => fetchCatalogSource(source).catch(e => {
+            console.error(`Failed to load the "${source.id}" catalog (${source.url}); it is left out.`, e);
+            return null;
+        })));
+        mergeCatalogSources([bundled, ...remote.filter(Boolean)]);
+        console.log("Data loaded successfully from JSON.");
+    } catch (e) {
+        console.error("Failed to load JSON data. Content will be empty.", e);
+        const t = getTranslations();
+        showCustomAlert(t.Error || 'Error', t.jsonError || "ရုပ်ရှင်ဒေတာများ ဖတ်ယူနိုင်ခြင်း မရှိပါ (JSON Error)။");
+    }
+}
+
+function hasCategoryFiles(category) {
+    return (categoryParts[category] || []).some(part => part.file);
+}
+
+// Loads a category that some catalog lists with a "file" (once). Resolves when it is indexed or
+// failed to load; when no file could be loaded they are fetched again on the next call.
+function loadCategory(category) {
+    if (videos[category] || !hasCategoryFiles(category)) return Promise.resolve();
+
+    if (!categoryLoads[category]) {
+        categoryLoads[category] = (async () => {
+            const lists = await Promise.all(categoryParts[category].map(part => part.file ? fetchCategoryFile(part.file) : part.videos));
+            if (lists.every(list => list === null)) {
+                delete categoryLoads[category];
+                return;
+            }
+            videos[category] = mergeMovieLists(lists.filter(Boolean));
+            indexCategory(category);
+        })();
+    }
+    return categoryLoads[category];
+}
+
+// Entries of a category file that passed validation, or null when it could not be loaded
+async function fetchCategoryFile(file) {
+    try {
+        const response = await fetch(file);
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
-        const data = await response.json();
-        videos = data.videos || {};
-        translations = data.translations || {};
-        console.log("Data loaded successfully from JSON. (v3.4)");
+        const report = CatalogValidator.validateCategoryFile(await response.json(), { path: file });
+        report.errors.forEach(problem => console.warn(`Catalog problem at ${problem.path}: ${problem.message}`));
+        return report.videos;
     } catch (e) {
-        console.error("Failed to load JSON data. Content will be empty.", e);
-        const t = translations.myanmar || { Error: "Error", jsonError: "ရုပ်ရှင်ဒေတာများ ဖတ်ယူနိုင်ခြင်း မရှိပါ (JSON Error)။" };
-        showCustomAlert(t.Error, t.jsonError);
+        console.error(`Failed to load ${file}.`, e);
+        return null;
     }
 }
 
-function generateVideoIds() {
-    let idCounter = 1;
-    for (const category in videos) {
-        videos[category] = videos[category].map(movie => {
-            if (!movie.id) {
-                movie.id = 'v' + idCounter++;
-            }
-            return movie;
+function isCatalogLoaded() {
+    return Object.keys(categoryParts).every(category => videos[category] || !hasCategoryFiles(category));
+}
+
+// Search, favorites, history and deep links need every category
+function loadAllCategories() {
+    if (!allCategoriesLoad) {
+        allCategoriesLoad = Promise.all(Object.keys(categoryParts).map(loadCategory)).then(() => {
+            allCategoriesTried = true;
+            promoteEpisodeFavorites(); // Needs every series indexed
         });
     }
+    return allCategoriesLoad;
+}
+
+function createLoadingRow() {
+    const t = getTranslations();
+    const row = document.createElement('p');
+    row.className = 'text-center w-full text-gray-500 col-span-full';
+    row.textContent = t.loading || 'Loading...';
+    return row;
+}
+
+// For views that list movies from every category: shows a loading row until the category files
+// are in and renders the view again then (unless another view was opened meanwhile). True while waiting.
+function waitForCatalog(container, render) {
+    if (allCategoriesTried || isCatalogLoaded()) return false;
+
+    const loadingRow = createLoadingRow();
+    container.appendChild(loadingRow);
+    loadAllCategories().then(() => {
+        if (loadingRow.isConnected) render();
+    });
+    return true;
+}
+
+// Stable IDs and the movie index come from catalog-ids.js (shared with the catalog editor)
+const { deriveMovieId, isSeries, getSeriesEpisodes, getEntryId } = CatalogIds;
+
+function generateVideoIds() {
+    movieIndex = new Map();
+    Object.keys(videos).forEach(indexCategory);
+}
+
+function indexCategory(category) {
+    CatalogIds.indexCategory(movieIndex, category, videos[category]);
+}
+
+function isLegacyMovieId(id) {
+    return /^v\d+$/.test(id);
+}
+
+// Old builds numbered movies 'v1', 'v2'... by position across all categories.
+// legacy_ids.json freezes that numbering (as of the last position-based catalog) => stable IDs.
+async function loadLegacyIdMap() {
+    try {
+        const response = await fetch('legacy_ids.json');
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        legacyIdMap = await response.json();
+    } catch (e) {
+        console.error("Failed to load legacy movie IDs.", e);
+    }
+}
+
+// One-time conversion of position-based favorites to stable IDs (new IDs never look like 'v42')
+async function migrateLegacyFavorites() {
+    if (!favorites.some(isLegacyMovieId)) return;
+
+    await loadLegacyIdMap();
+    if (!legacyIdMap) return; // Keep them as they are and retry on the next start
+
+    const migrated = favorites.map(id => isLegacyMovieId(id) ? legacyIdMap[id] : id).filter(Boolean);
+    favorites = [...new Set(migrated)];
+    saveFavorites();
+    console.log(`Migrated favorites to stable movie IDs (${favorites.length} kept).`);
+}
+
+// Non-empty categories in catalog order; categories missing from `categories` follow alphabetically.
+// Categories in a file that is not loaded yet are assumed to have movies. 'trending' is a view of its own, not a tab.
+function getMenuCategories() {
+    const listed = categoryMeta.filter(meta => videos[meta.id] || hasCategoryFiles(meta.id));
+    const listedIds = listed.map(meta => meta.id);
+    const unlisted = Object.keys(videos)
+        .filter(id => id !== 'trending' && !listedIds.includes(id))
+        .sort()
+        .map(id => ({ id }));
+
+    return [...listed, ...unlisted].filter(meta => meta.id !== 'trending' && (!videos[meta.id] || videos[meta.id].length > 0));
+}
+
+function renderCategoryMenu() {
+    const menuBar = document.getElementById('menu-bar');
+    const t = getTranslations() || {};
+    let lastCategory = null;
+    try {
+        lastCategory = localStorage.getItem('lastCategory');
+    } catch (e) { /* Error */ }
+
+    const menuCategories = getMenuCategories();
+    menuBar.innerHTML = menuCategories.map(meta => `
+        <button class="menu-btn bg-gray-800 text-white font-semibold px-2 py-1 rounded-full text-sm transition-all duration-200 hover:bg-gray-700" data-category="${meta.id}" aria-pressed="false" onclick="showCategory('${meta.id}', this)">
+            ${meta.icon ? `<span class="mr-1">${escapeHtml(meta.icon)}</span>` : ''}<span data-i18n="${meta.id}">${escapeHtml(t[meta.id] || meta.id)}</span>
+        </button>
+    `).join('');
+
+    const initialCategory = menuCategories.some(meta => meta.id === lastCategory) ? lastCategory : menuCategories[0] && menuCategories[0].id;
+    if (initialCategory) {
+        setActiveCategoryButton(findCategoryButton(initialCategory));
+    }
 }
 
 function enableButtons() {
@@ -72,35 +228,43 @@ window.initializeApp = async function() {
     await loadDataFromJSON(); 
     generateVideoIds(); 
 
-    // 2. Load Local State (Settings/Favorites)
-    const storedSettings = localStorage.getItem('userSettings');
-    const storedFavorites = localStorage.getItem('favorites');
-    
-    try {
-        currentSettings = storedSettings ? { ...defaultSettings, ...JSON.parse(storedSettings) } : { ...defaultSettings };
-    } catch (e) {
-        currentSettings = { ...defaultSettings };
-    }
-    
-    try {
-        favorites = storedFavorites ? JSON.parse(storedFavorites) : [];
-        if (!Array.isArray(favorites)) favorites = [];
-    } catch (e) {
-        favorites = [];
+    // 2. Load Local State (Settings/Favorites); bad or unreadable values fall back to defaults, see stored-state.js
+    ({
+        settings: currentSettings,
+        favorites,
+        collections,
+        watchHistory,
+        parentalLock,
+        categoryVisits,
+        playbackFailures,
+    } = StoredState.loadState(localStorage, defaultSettings));
+    await migrateLegacyFavorites();
+    promoteEpisodeFavorites();
+
+    if (isLegacyMovieId(parseRoute(window.location.hash).param || '') && !legacyIdMap) {
+        await loadLegacyIdMap(); // Deep link shared before stable IDs
     }
     
-    // 3. Apply Settings (Theme and Language)
+    // 3. Build the category menu, then apply Settings (Theme and Language)
+    await loadLanguageConfig();
+    await loadLanguageMessages(currentSettings.language);
+    renderCategoryMenu();
     applySettings();
     
     // 4. Enable Buttons
     enableButtons(); 
     
-    const homeBtn = document.querySelector('.nav-btn[data-nav="home"]');
-    if (homeBtn) {
-        changeNav(homeBtn); 
-    } else {
-         console.error("Home navigation button not found.");
-    }
+    // 5. Offline support
+    registerServiceWorker();
+    updateOfflineBanner();
+
+    // 6. Restore the view from the URL (falls back to Home)
+    await applyRoute(window.location.hash);
+    window.addEventListener('popstate', handleRouteChange);
+    window.addEventListener('hashchange', handleRouteChange);
+
+    // 7. "N new" badges for categories that changed since the last visit
+    checkForNewMovies();
 }
 
 
@@ -114,20 +278,28 @@ function saveFavorites() {
     } catch (e) { /* Error */ }
 }
 
-window.toggleFavorite = function() {
-    if (!currentPlayingMovie || !currentPlayingMovie.id) return;
+function saveCollections() {
+    try {
+        localStorage.setItem('collections', JSON.stringify(collections));
+    } catch (e) { /* Error */ }
+}
+
+window.toggleFavorite = function(movieId = currentPlayingMovie && currentPlayingMovie.id) {
+    if (!movieId) return;
 
-    const movieId = currentPlayingMovie.id;
-    const index = favorites.indexOf(movieId);
+    const favoriteId = getFavoriteId(movieId); // Episodes are favorited as their series
+    const index = favorites.indexOf(favoriteId);
 
     if (index > -1) {
         favorites.splice(index, 1);
     } else {
-        favorites.push(movieId);
+        favorites.push(favoriteId);
     }
 
     saveFavorites();
-    updateFavoriteButtonState(movieId);
+    if (currentPlayingMovie && getFavoriteId(currentPlayingMovie.id) === favoriteId) {
+        updateFavoriteButtonState(currentPlayingMovie.id);
+    }
     
     const activeNav = document.querySelector('.nav-btn.text-primary')?.dataset.nav;
     if (activeNav === 'favorites') {
@@ -138,14 +310,19 @@ window.toggleFavorite = function() {
 function updateFavoriteButtonState(movieId) {
     const favoriteBtn = document.getElementById('favorite-btn');
     if (!favoriteBtn) return;
+    const t = getTranslations();
+    const isFav = favorites.includes(getFavoriteId(movieId));
 
-    if (favorites.includes(movieId)) {
+    if (isFav) {
         favoriteBtn.classList.add('text-red-500');
         favoriteBtn.classList.remove('text-gray-500');
     } else {
         favoriteBtn.classList.add('text-gray-500');
         favoriteBtn.classList.remove('text-red-500');
     }
+    const label = isFav ? (t.removeFavorite || 'Remove from Favorites') : (t.addFavorite || 'Add to Favorites');
+    favoriteBtn.title = label;
+    favoriteBtn.setAttribute('aria-label', label);
 }
 
 
@@ -154,68 +331,34 @@ function updateFavoriteButtonState(movieId) {
 // -------------------------------------------------------------------------
 
 function applySettings() {
-    const lang = currentSettings.language;
-    const body = document.getElementById('body-root');
-    
-    // Theme Application
-    if (currentSettings.theme === 'light') {
-        body.classList.add('light-mode');
-        document.getElementById('header-sticky').classList.remove('bg-darkbg');
-        document.getElementById('header-sticky').classList.add('bg-midbg');
-    } else {
-        body.classList.remove('light-mode');
-        document.getElementById('header-sticky').classList.remove('bg-midbg');
-        document.getElementById('header-sticky').classList.add('bg-darkbg');
-    }
-
-    // Language Application
-    document.querySelectorAll('[data-i18n]').forEach(el => {
-        const key = el.dataset.i18n;
-        if (translations[lang] && translations[lang][key]) {
-            el.textContent = translations[lang][key];
-        } else if (translations.myanmar && translations.myanmar[key]) {
-             el.textContent = translations.myanmar[key]; 
-        }
-    });
+    // Theme Application (CSS variables, see section 22)
+    applyTheme();
+
+    // Language Application (text, placeholder/title/alt/aria-label attributes, <html lang>)
+    const translator = getTranslator();
+    I18n.translateDom(document, translator);
+    document.documentElement.lang = translator.locale;
+    document.getElementById('app-version').textContent = translate('appVersion', { version: APP_VERSION }, 'About: version {version}');
+    updateNewMovieBadges();
+    reportMissingTranslations(translator);
 }
 
 window.changeTheme = function(theme) {
-    currentSettings.theme = theme;
+    currentSettings.theme = THEMES.includes(theme) ? theme : defaultSettings.theme;
     try {
         localStorage.setItem('userSettings', JSON.stringify(currentSettings));
     } catch (e) { /* Error */ }
     
-    applySettings();
-    
-    const activeNavBtn = document.querySelector('.nav-btn.text-primary');
-    if (activeNavBtn) {
-        changeNav(activeNavBtn);
-    }
+    applyTheme(); // Only CSS variables change; the current view stays as it is
 }
 
-window.changeNav = function(btn) {
-    const nav = btn.dataset.nav;
-    const navBtns = document.querySelectorAll('.nav-btn');
+function setContentLayout(layout) {
     const menuBar = document.getElementById('menu-bar');
     const playerContainer = document.getElementById('player-container');
     const currentTitleBar = document.querySelector('.max-w-3xl.mx-auto.flex.justify-between.items-center.mt-0.mb-6.px-2.w-full');
     const moviesContainer = document.getElementById('movies');
-    
-    // Reset all nav buttons
-    navBtns.forEach(b => {
-        b.classList.remove('text-primary', 'font-bold');
-        b.classList.add('text-gray-400', 'hover:text-white');
-    });
-
-    // Set active nav button
-    btn.classList.add('text-primary', 'font-bold');
-    btn.classList.remove('text-gray-400', 'hover:text-white'); 
 
-    // Reset grid/flex properties before content load
-    moviesContainer.innerHTML = '';
-    
-    // Header/Player visibility and Layout Control
-    if (nav === 'profile' || nav === 'modapp') { // Modapp will trigger layout change 
+    if (layout === 'list') {
         menuBar.classList.add('hidden');
         playerContainer.classList.add('hidden');
         if (currentTitleBar) currentTitleBar.classList.add('hidden'); 
@@ -231,17 +374,41 @@ window.changeNav = function(btn) {
         moviesContainer.classList.remove('flex', 'flex-col', 'w-full', 'pt-4');
         moviesContainer.classList.add('grid', 'grid-cols-2', 'sm:grid-cols-3', 'md:grid-cols-4', 'lg:grid-cols-5', 'gap-2', 'justify-items-center', 'px-0');
     }
+}
+
+window.changeNav = function(btn) {
+    const nav = btn.dataset.nav;
+    const navBtns = document.querySelectorAll('.nav-btn');
+    const moviesContainer = document.getElementById('movies');
+
+    clearSearchInput();
+    
+    // Reset all nav buttons
+    navBtns.forEach(b => {
+        b.classList.remove('text-primary', 'font-bold');
+        b.classList.add('text-gray-400', 'hover:text-white');
+        b.removeAttribute('aria-current');
+    });
+
+    // Set active nav button
+    btn.classList.add('text-primary', 'font-bold');
+    btn.classList.remove('text-gray-400', 'hover:text-white'); 
+    btn.setAttribute('aria-current', 'page');
+
+    // Reset grid/flex properties before content load
+    moviesContainer.innerHTML = '';
+    
+    // Header/Player visibility and Layout Control
+    setContentLayout(nav === 'profile' || nav === 'modapp' ? 'list' : 'grid'); // Modapp will trigger layout change 
 
     // Load Content
     switch (nav) {
         case 'home':
-            const activeCategoryBtn = document.querySelector('.menu-btn.active-category') || document.querySelector('.menu-btn[data-category="action"]');
+            const activeCategoryBtn = document.querySelector('.menu-btn.active-category') || document.querySelector('.menu-btn');
             if (activeCategoryBtn) {
                 showCategory(activeCategoryBtn.dataset.category, activeCategoryBtn);
-            } else if (videos.action) {
-                 showCategory('action', document.querySelector('.menu-btn[data-category="action"]'));
             } else {
-                const t = translations[currentSettings.language] || translations.myanmar;
+                const t = getTranslations();
                 moviesContainer.innerHTML = `<h2 class="text-xl font-bold text-center w-full mb-4 text-white/80 col-span-full">${t.noContent || 'No Content Available'}</h2>`; 
             }
             break;
@@ -252,6 +419,7 @@ window.changeNav = function(btn) {
                 btn.classList.add('bg-gray-800', 'text-white', 'hover:bg-gray-700');
             });
             displayTrending();
+            updateRoute(getTrendingRoute());
             break;
 
         case 'favorites':
@@ -260,6 +428,7 @@ window.changeNav = function(btn) {
                 btn.classList.add('bg-gray-800', 'text-white', 'hover:bg-gray-700');
             });
             displayFavorites();
+            updateRoute(activeCollectionId ? 'favorites/' + activeCollectionId : 'favorites');
             break;
             
         case 'modapp': 
@@ -285,11 +454,13 @@ window.changeNav = function(btn) {
                 btn.classList.add('bg-gray-800', 'text-white', 'hover:bg-gray-700');
             });
             displayProfileSettings();
+            updateRoute('profile');
             break;
     }
 }
 
-window.changeLanguage = function(lang) {
+window.changeLanguage = async function(lang) {
+    await loadLanguageMessages(lang);
     currentSettings.language = lang;
     try {
         localStorage.setItem('userSettings', JSON.stringify(currentSettings));
@@ -306,32 +477,61 @@ window.changeLanguage = function(lang) {
 // 4. RENDERING LOGIC (Category/Trending/Favorites/Profile)
 // -------------------------------------------------------------------------
 
-window.showCategory = function(category, btn) {
-    const moviesContainer = document.getElementById('movies');
-    moviesContainer.innerHTML = '';
-    
+function findCategoryButton(category) {
+    return Array.from(document.querySelectorAll('.menu-btn')).find(b => b.dataset.category === category) || null;
+}
+
+function setActiveCategoryButton(btn) {
     document.querySelectorAll('.menu-btn').forEach(b => {
         b.classList.remove('active-category', 'active-category-blue', 'text-white');
         b.classList.add('bg-gray-800', 'text-white', 'hover:bg-gray-700');
+        b.setAttribute('aria-pressed', 'false');
     });
 
     if (btn) {
         btn.classList.add('active-category', 'active-category-blue', 'text-white');
         btn.classList.remove('bg-gray-800', 'hover:bg-gray-700');
+        btn.setAttribute('aria-pressed', 'true');
+    }
+}
+
+window.showCategory = function(category, btn) {
+    const moviesContainer = document.getElementById('movies');
+    moviesContainer.innerHTML = '';
+    clearSearchInput();
+    
+    setActiveCategoryButton(btn);
+    updateRoute('category/' + category);
+    try {
+        localStorage.setItem('lastCategory', category);
+    } catch (e) { /* Error */ }
+
+    appendContinueWatchingRow(moviesContainer);
+
+    const t = getTranslations();
+    if (!videos[category] && hasCategoryFiles(category)) {
+        const loadingRow = createLoadingRow();
+        moviesContainer.appendChild(loadingRow);
+        loadCategory(category).then(() => {
+            if (!loadingRow.isConnected) return; // Another view was opened meanwhile
+            if (videos[category]) showCategory(category, btn);
+            else loadingRow.textContent = t.jsonError || "ရုပ်ရှင်ဒေတာများ ဖတ်ယူနိုင်ခြင်း မရှိပါ (JSON Error)။";
+        });
+        return;
     }
 
     const moviesList = videos[category] || [];
     if (moviesList.length === 0) {
-        const t = translations[currentSettings.language] || translations.myanmar;
-        moviesContainer.innerHTML = `<h2 class="text-xl font-bold text-center w-full mb-4 text-white/80 col-span-full">${t.noContent || 'No Content Available'}</h2>`;
+        moviesContainer.insertAdjacentHTML('beforeend', `<h2 class="text-xl font-bold text-center w-full mb-4 text-white/80 col-span-full">${t.noContent || 'No Content Available'}</h2>`);
         return;
     }
 
-    moviesList.forEach(movie => {
-        moviesContainer.appendChild(createMovieCard(movie));
-    });
+    const newIds = getNewMovieIds(category);
+    renderMovieGrid(moviesContainer, moviesList, movie => createMovieCard(movie, { isNew: newIds.has(movie.id) }));
+    markCategorySeen(category);
 };
 
+// Most played in the selected window first (ranked), then the curated picks not already listed
 function displayTrending() {
     document.querySelectorAll('.menu-btn').forEach(b => {
         b.classList.remove('active-category', 'active-category-blue', 'text-white');
@@ -339,20 +539,31 @@ function displayTrending() {
     });
 
     const moviesContainer = document.getElementById('movies');
-    const t = translations[currentSettings.language] || translations.myanmar;
-    
-    const trendingMovies = videos.trending || []; 
+    const t = getTranslations();
     
-    moviesContainer.innerHTML = `<h2 class="text-xl font-bold text-center w-full mb-4 text-white/80 col-span-full">${t.trendingTitle || 'Trending Movies'}</h2>`;
+    moviesContainer.innerHTML = `
+        <h2 class="text-xl font-bold text-center w-full mb-4 text-white/80 col-span-full">${t.trendingTitle || 'Trending Movies'}</h2>
+        ${renderTrendingTabs(t)}
+    `;
+    if (waitForCatalog(moviesContainer, displayTrending)) return;
+
+    const ranked = getLocalTrending(activeTrendingWindow);
+    const rankedIds = new Set(ranked.map(item => item.movie.id));
+    const picks = getCuratedTrending().filter(movie => !rankedIds.has(movie.id));
     
-    if (trendingMovies.length === 0) {
-        moviesContainer.innerHTML += `<p class="text-center w-full text-gray-500 col-span-full">${t.noContent || 'No Content Available'}</p>`;
+    if (ranked.length === 0 && picks.length === 0) {
+        moviesContainer.insertAdjacentHTML('beforeend', `<p class="text-center w-full text-gray-500 col-span-full">${t.noContent || 'No Content Available'}</p>`);
         return;
     }
+    if (ranked.length === 0) {
+        moviesContainer.insertAdjacentHTML('beforeend', `<p class="text-center w-full text-sm text-gray-500 col-span-full mb-2">${t.trendingNoPlays || 'Nothing played in this period yet. Here are our picks.'}</p>`);
+    }
 
-    trendingMovies.forEach(movie => {
-        moviesContainer.appendChild(createMovieCard(movie));
-    });
+    const items = [
+        ...ranked.map((item, index) => ({ movie: item.movie, rank: index + 1, plays: item.plays })),
+        ...picks.map(movie => ({ movie })),
+    ];
+    renderMovieGrid(moviesContainer, items, item => createMovieCard(item.movie, { rank: item.rank, plays: item.plays }));
 }
 
 function displayFavorites() {
@@ -362,20 +573,24 @@ function displayFavorites() {
     });
 
     const moviesContainer = document.getElementById('movies');
-    const t = translations[currentSettings.language] || translations.myanmar;
+    const t = getTranslations();
 
-    const favoriteMovies = favorites.map(id => findMovieById(id)).filter(movie => movie !== null);
+    const collection = findCollection(activeCollectionId);
+    const favoriteMovies = sortFavoriteMovies(collection ? collection.items : favorites, currentSettings.favoritesSort);
     
-    moviesContainer.innerHTML = `<h2 class="text-xl font-bold text-center w-full mb-4 text-white/80 col-span-full">${t.favoritesTitle || 'My Favorites'}</h2>`;
+    moviesContainer.innerHTML = `
+        <h2 class="text-xl font-bold text-center w-full mb-4 text-white/80 col-span-full">${t.favoritesTitle || 'My Favorites'}</h2>
+        ${renderFavoritesToolbar(t, collection)}
+    `;
+    if (waitForCatalog(moviesContainer, displayFavorites)) return;
 
     if (favoriteMovies.length === 0) {
-        moviesContainer.innerHTML += `<p class="text-center w-full text-gray-500 col-span-full">${t.noFavorites || 'No favorite movies added yet.'}</p>`;
+        const emptyText = collection ? (t.emptyCollection || 'This list is empty. Add movies from their detail page.') : (t.noFavorites || 'No favorite movies added yet.');
+        moviesContainer.insertAdjacentHTML('beforeend', `<p class="text-center w-full text-gray-500 col-span-full">${emptyText}</p>`);
         return;
     }
 
-    favoriteMovies.forEach(movie => {
-        moviesContainer.appendChild(createMovieCard(movie));
-    });
+    renderMovieGrid(moviesContainer, favoriteMovies);
 }
 
 function displayProfileSettings() {
@@ -385,7 +600,7 @@ function displayProfileSettings() {
     });
     
     const moviesContainer = document.getElementById('movies');
-    const t = translations[currentSettings.language] || translations.myanmar;
+    const t = getTranslations();
     
     moviesContainer.innerHTML = `
         <div class="max-w-md mx-auto w-full space-y-6">
@@ -397,28 +612,35 @@ function displayProfileSettings() {
                 <div class="flex justify-between items-center mb-4">
                     <p>${t.themeLabel || 'Theme:'}</p>
                     <select id="theme-select" onchange="changeTheme(this.value)" class="bg-gray-700 text-white p-2 rounded">
-                        <option value="dark" ${currentSettings.theme === 'dark' ? 'selected' : ''}>Dark</option>
-                        <option value="light" ${currentSettings.theme === 'light' ? 'selected' : ''}>Light</option>
+                        ${renderThemeOptions(t)}
                     </select>
                 </div>
 
+                ${renderAccentPicker(t)}
+
                 <div class="flex justify-between items-center mb-4">
                     <p>${t.languageLabel || 'Language:'}</p>
                     <select id="language-select" onchange="changeLanguage(this.value)" class="bg-gray-700 text-white p-2 rounded">
-                        <option value="myanmar" ${currentSettings.language === 'myanmar' ? 'selected' : ''}>${t.langMyanmar || 'Myanmar'}</option>
-                        <option value="english" ${currentSettings.language === 'english' ? 'selected' : ''}>${t.langEnglish || 'English'}</option>
+                        ${renderLanguageOptions()}
                     </select>
                 </div>
                 
-                <button onclick="localStorage.clear(); window.location.reload();" class="mt-4 w-full bg-red-600 hover:bg-red-700 text-white font-bold py-2 rounded transition duration-200">
+                <button onclick="resetAppData()" class="mt-4 w-full bg-red-600 hover:bg-red-700 text-white font-bold py-2 rounded transition duration-200">
                     ${t.resetData || 'Reset App Data'}
                 </button>
             </div>
 
+            ${renderWatchHistorySettings(t)}
+
+            ${renderDeadLinksSettings(t)}
+
+            ${renderParentalControlsSettings(t)}
+
+            ${isAdultButtonHidden() ? '' : `
             <button onclick="openAdultWebview()" class="w-full bg-red-600 hover:bg-red-700 text-white font-bold py-3 rounded-lg shadow-xl flex items-center justify-center space-x-2 transition duration-200">
-                <span class="text-xl">🔞</span>
-                <span class="text-lg" data-i18n="adultContent">လူကြီးကားများကြည့်ရန် (18+)</span>
-            </button>
+                <span class="text-xl">${isParentalLockOn() ? '🔒' : '🔞'}</span>
+                <span class="text-lg" data-i18n="adultContent">${t.adultContent || 'Adult Content (18+)'}</span>
+            </button>`}
         </div>
     `;
 
@@ -430,27 +652,31 @@ function displayProfileSettings() {
 // 5. HELPER AND VIDEO FUNCTIONS
 // -------------------------------------------------------------------------
 
-function createMovieCard(movie) {
+function createMovieCard(movie, options = {}) {
     const movieId = movie.id; 
-    const isFav = favorites.includes(movieId); 
-    const t = translations[currentSettings.language] || translations.myanmar;
+    const isFav = favorites.includes(getFavoriteId(movieId)); 
+    const episodeCount = isSeries(movie) ? getSeriesEpisodes(movie).length : 0;
+    const t = getTranslations();
     const card = document.createElement('div');
-    const bgColorClass = currentSettings.theme === 'light' ? 'bg-white' : 'bg-gray-800';
     
-    card.className = `movie-card-bg ${bgColorClass} rounded-lg shadow-md hover:shadow-primary/50 transition duration-300 transform hover:scale-[1.03] overflow-hidden cursor-pointer w-full flex flex-col`;
+    card.className = `movie-card-bg rounded-lg shadow-md hover:shadow-primary/50 transition duration-300 transform hover:scale-[1.03] overflow-hidden cursor-pointer w-full flex flex-col`;
     card.setAttribute('data-movie-id', movieId);
 
-    // aspect-video (16:9) ratio
+    // aspect-video (16:9) ratio. The thumbnail is the focusable "details" target; the title repeats it for pointers only
     card.innerHTML = `
-        <div class="relative w-full aspect-video" onclick="window.playVideo('${movieId}')"> 
-            <img src="${movie.thumb}" alt="${movie.title}" onerror="this.onerror=null;this.src='https://placehold.co/100x100/1a1a1a/cccccc?text=WY'" class="w-full h-full object-cover rounded-t-lg absolute">
-            ${isFav ? `<div class="absolute top-1 left-1 text-primary z-10">
-                <svg xmlns="http://www.w3.org/2000/svg" class="w-5 h-5" viewBox="0 0 24 24" fill="currentColor" stroke="none"><path d="M19 14c1.49-1.46 3-3.21 3-5.5A5.5 5.5 0 0 0 16.5 3c-1.76 0-3 .5-4.5 2-1.5-1.5-2.74-2-4.5-2A5.5 5.5 0 0 0 2 8.5c0 2.3 1.5 4.05 3 5.5l7 7Z"/></svg>
-            </div>` : ''}
-        </div>
+        <button type="button" class="relative block w-full aspect-video bg-gray-700/50 rounded-t-lg" onclick="window.openMovieDetails('${movieId}')" aria-label="${escapeHtml(translate('openDetails', { title: movie.title }, 'Details: {title}'))}"> 
+            <img src="${BLANK_IMAGE}" data-src="${escapeHtml(movie.thumb || PLACEHOLDER_THUMB)}" alt="" onerror="this.onerror=null;this.src='${PLACEHOLDER_THUMB}'" class="w-full h-full object-cover rounded-t-lg absolute top-0 left-0">
+            ${episodeCount ? `<span class="absolute top-1 right-1 bg-black/70 text-white text-[0.6rem] font-semibold px-1 rounded z-10">${translate('episodeCount', { count: episodeCount }, '{count} EP')}</span>` : ''}
+            ${options.rank ? `<span class="absolute bottom-1 left-1 bg-black/70 text-white text-[0.6rem] font-bold px-1 rounded z-10" title="${translate('playCount', { count: options.plays }, '{count} plays')}">#${options.rank}</span>` : ''}
+            ${options.isNew ? `<span class="absolute bottom-1 left-1 bg-red-600 text-white text-[0.6rem] font-bold px-1 rounded z-10">${t.newLabel || 'NEW'}</span>` : ''}
+            ${options.progress ? `<span class="absolute bottom-0 left-0 right-0 h-1 bg-black/60 z-10" role="progressbar" aria-label="${t.continueWatching || 'Continue Watching'}" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${Math.round(options.progress * 100)}"><span class="block h-full bg-red-600" style="width: ${Math.round(options.progress * 100)}%"></span></span>` : ''}
+            ${isFav ? `<span class="absolute top-1 left-1 text-primary z-10">
+                <svg xmlns="http://www.w3.org/2000/svg" class="w-5 h-5" viewBox="0 0 24 24" fill="currentColor" stroke="none" aria-hidden="true"><path d="M19 14c1.49-1.46 3-3.21 3-5.5A5.5 5.5 0 0 0 16.5 3c-1.76 0-3 .5-4.5 2-1.5-1.5-2.74-2-4.5-2A5.5 5.5 0 0 0 2 8.5c0 2.3 1.5 4.05 3 5.5l7 7Z"/></svg>
+            </span>` : ''}
+        </button>
         <div class="p-1 flex flex-col justify-between flex-grow">
-            <p class="text-[0.6rem] font-medium leading-tight mb-1 truncate">${movie.title}</p> 
-            <button onclick="window.playVideo('${movieId}')" class="mt-1 text-[0.6rem] font-semibold text-primary hover:text-black hover:bg-primary transition duration-200 py-1 px-1 rounded-full border border-primary">
+            <p class="text-[0.6rem] font-medium leading-tight mb-1 truncate" onclick="window.openMovieDetails('${movieId}')" aria-hidden="true">${options.titleHtml || escapeHtml(movie.title)}</p> 
+            <button onclick="window.playVideo('${movieId}')" aria-label="${escapeHtml(translate('playTitle', { title: movie.title }, 'Play {title}'))}" class="mt-1 text-[0.6rem] font-semibold text-primary hover:text-black hover:bg-primary transition duration-200 py-1 px-1 rounded-full border border-primary">
                 ${t.nowPlaying || 'Play Now'}
             </button>
         </div>
@@ -458,29 +684,40 @@ function createMovieCard(movie) {
     return card;
 }
 
-window.playVideo = function(movieId) {
-    const movie = findMovieById(movieId);
+window.playVideo = function(movieId, options = {}) {
+    let movie = findMovieById(movieId);
     
     if (!movie) {
-        showCustomAlert("Error", "ရုပ်ရှင်ဒေတာရှာမတွေ့ပါ");
+        const t = getTranslations();
+        showCustomAlert(t.Error || 'Error', t.movieNotFound || 'This movie is no longer available.');
         return;
     }
+    if (isSeries(movie)) {
+        movie = getSeriesStartEpisode(movie);
+        movieId = movie.id;
+    }
     
+    savePlaybackPosition(); // Remember where the previous movie was left
     currentPlayingMovie = movie;
+    updateRoute('movie/' + movieId);
+    recordWatch(movie);
 
-    document.getElementById('iframePlayer').src = movie.src;
+    loadPlayer(movie, { startSeconds: getResumePosition(movieId), autoplay: options.autoplay });
     document.getElementById('current-movie-title').textContent = movie.title;
     
     updateFavoriteButtonState(movieId);
+    updateEpisodeControls(movie);
 }
 
 
 function findMovieById(id) {
-    for (const category in videos) {
-        const movie = videos[category].find(movie => movie.id === id);
-        if (movie) return movie;
-    }
-    return null;
+    const entry = movieIndex.get(id);
+    return entry ? entry.movie : null;
+}
+
+function findMovieCategory(id) {
+    const entry = movieIndex.get(id);
+    return entry ? entry.category : null;
 }
 
 function toggleFullScreen() {
@@ -500,12 +737,15 @@ window.showCustomAlert = function(title, message) {
     document.getElementById('alert-title').textContent = title;
     document.getElementById('alert-message').textContent = message;
     modal.classList.remove('hidden');
+    openModal(modal, closeCustomAlert);
     clearTimeout(alertTimeout);
     alertTimeout = setTimeout(closeCustomAlert, 5000); // Auto close after 5 seconds
 }
 
 window.closeCustomAlert = function() {
-    document.getElementById('custom-alert-modal').classList.add('hidden');
+    const modal = document.getElementById('custom-alert-modal');
+    modal.classList.add('hidden');
+    closeModal(modal);
     clearTimeout(alertTimeout);
 }
 
@@ -514,13 +754,18 @@ window.closeCustomAlert = function() {
 // 6. ADULT WEBVIEW LOGIC (ModApp logic is now in changeNav)
 // -------------------------------------------------------------------------
 
-window.openAdultWebview = function() {
+window.openAdultWebview = async function() {
+    if (isAdultButtonHidden()) return;
+    const t = getTranslations();
+    if (await requestPinUnlock(t.pinForAdult || 'Enter the parental PIN to continue.') !== 'unlocked') return;
+
     const modal = document.getElementById('adult-webview-modal');
     const iframe = document.getElementById('adultWebviewIframe');
     
     iframe.src = ADULT_WEBVIEW_URL;
     modal.classList.remove('hidden');
     document.body.style.overflow = 'hidden';
+    openModal(modal, closeAdultWebview);
 }
 
 window.closeAdultWebview = function() {
@@ -530,6 +775,2461 @@ window.closeAdultWebview = function() {
     iframe.src = 'about:blank'; 
     modal.classList.add('hidden');
     document.body.style.overflow = '';
+    closeModal(modal);
+}
+
+
+// -------------------------------------------------------------------------
+// 7. SEARCH (All categories, Myanmar-aware matching)
+// -------------------------------------------------------------------------
+
+const SEARCH_DEBOUNCE_MS = 200;
+const MIN_FUZZY_TOKEN_LENGTH = 4;
+let searchTimeout;
+
+// Zawgyi-only code points, or Unicode-impossible sequences (prefix vowel/medial at word start, virama without a stacked consonant)
+const ZAWGYI_PATTERN = /[\u1033\u1034\u105a\u1060-\u1097]|(^|[^\u1000-\u103f])[\u1031\u103b]|\u1039(?![\u1000-\u1021])/;
+
+// Zawgyi glyph code points => Unicode sequences
+const ZAWGYI_GLYPHS = {
+    '\u1033': '\u102f', '\u1034': '\u1030', '\u1039': '\u103a', '\u103a': '\u103b', '\u103b': '\u103c',
+    '\u103c': '\u103d', '\u103d': '\u103e', '\u1087': '\u103e', '\u1088': '\u103e\u102f', '\u1089': '\u103e\u1030',
+    '\u108a': '\u103d\u103e', '\u105a': '\u102b\u103a', '\u108e': '\u102d\u1036', '\u1086': '\u103f',
+    '\u108f': '\u1014', '\u1090': '\u101b', '\u106a': '\u1009', '\u106b': '\u100a', '\u1094': '\u1037', '\u1095': '\u1037',
+    '\u1097': '\u100b\u1039\u100b', '\u106e': '\u100d\u1039\u100d', '\u106f': '\u100d\u1039\u100e',
+    '\u1091': '\u100f\u1039\u100d', '\u1092': '\u100b\u1039\u100c', '\u1096': '\u1039\u1010\u103d',
+    '\u1060': '\u1039\u1000', '\u1061': '\u1039\u1001', '\u1062': '\u1039\u1002', '\u1063': '\u1039\u1003',
+    '\u1065': '\u1039\u1005', '\u1066': '\u1039\u1006', '\u1067': '\u1039\u1006', '\u1068': '\u1039\u1007',
+    '\u1069': '\u1039\u1008', '\u106c': '\u1039\u100b', '\u106d': '\u1039\u100c', '\u1070': '\u1039\u100f',
+    '\u1071': '\u1039\u1010', '\u1072': '\u1039\u1010', '\u1073': '\u1039\u1011', '\u1074': '\u1039\u1011',
+    '\u1075': '\u1039\u1012', '\u1076': '\u1039\u1013', '\u1077': '\u1039\u1014', '\u1078': '\u1039\u1015',
+    '\u1079': '\u1039\u1016', '\u107a': '\u1039\u1017', '\u107b': '\u1039\u1018', '\u1093': '\u1039\u1018',
+    '\u107c': '\u1039\u1019', '\u1085': '\u1039\u101c',
+    '\u107e': '\u103c', '\u107f': '\u103c', '\u1080': '\u103c', '\u1081': '\u103c', '\u1082': '\u103c', '\u1083': '\u103c', '\u1084': '\u103c',
+};
+
+// Unicode storage order of Myanmar dependent signs (UTN #11)
+const MYANMAR_MARK_ORDER = {
+    '\u103b': 1, '\u103c': 2, '\u103d': 3, '\u103e': 4, '\u1031': 5,
+    '\u102d': 6, '\u102e': 6, '\u1032': 6, '\u102f': 7, '\u1030': 7,
+    '\u102b': 8, '\u102c': 8, '\u1036': 9, '\u1037': 10, '\u103a': 11, '\u1038': 12,
+};
+
+function zawgyiToUnicode(text) {
+    let out = text
+        .replace(/\u200b/g, '')
+        // Zawgyi typists use the digits zero/seven for the letters WA/RA
+        .replace(/([\u1031\u103b])\u1040/g, '$1\u101d')
+        .replace(/\u1040(?=[\u102b-\u1030\u1032-\u1039\u103c\u103d])/g, '\u101d')
+        .replace(/([\u1031\u103b])\u1047/g, '$1\u101b')
+        .replace(/[\u1033-\u103d\u105a\u1060-\u1063\u1065-\u1097]/g, ch => ZAWGYI_GLYPHS[ch] || ch);
+
+    // Kinzi glyphs sit after the consonant in Zawgyi, and before it (with its prefixes) in Unicode
+    out = out
+        .replace(/([\u1031\u103c]*)([\u1000-\u1021])\u1064/g, '\u1004\u103a\u1039$1$2')
+        .replace(/([\u1031\u103c]*)([\u1000-\u1021])\u108b/g, '\u1004\u103a\u1039$1$2\u102d')
+        .replace(/([\u1031\u103c]*)([\u1000-\u1021])\u108c/g, '\u1004\u103a\u1039$1$2\u102e')
+        .replace(/([\u1031\u103c]*)([\u1000-\u1021])\u108d/g, '\u1004\u103a\u1039$1$2\u1036');
+
+    // Prefix vowel sign E and medial RA are typed before the consonant in Zawgyi
+    return out.replace(/(\u1031?)(\u103c?)([\u1000-\u1021\u103f])((?:\u1039[\u1000-\u1021])?)([\u103b\u103d\u103e]*)/g, '$3$4$2$5$1');
+}
+
+function reorderMyanmarMarks(text) {
+    return text.replace(/[\u102b-\u1038\u103a-\u103e]{2,}/g, marks => {
+        const weight = ch => MYANMAR_MARK_ORDER[ch] || 13; // Mon/Shan vowels keep their place at the end
+        const sorted = Array.from(marks).sort((a, b) => weight(a) - weight(b));
+        return sorted.filter((ch, i) => ch !== sorted[i - 1]).join('');
+    });
+}
+
+/**
+ * Converts Zawgyi input to Unicode (when detected) and puts diacritics in canonical order,
+ * so titles and queries typed with different keyboards compare equal.
+ */
+function normalizeMyanmar(text) {
+    let out = String(text || '').normalize('NFC');
+    if (ZAWGYI_PATTERN.test(out)) {
+        out = zawgyiToUnicode(out);
+    }
+    return reorderMyanmarMarks(out);
+}
+
+/**
+ * Folds text for comparison (lowercase, Latin accents and punctuation removed, whitespace collapsed).
+ * `map[i]` is the index in `text` that produced folded character `i`, used for highlighting.
+ */
+function foldSearchText(text) {
+    let folded = '';
+    const map = [];
+    Array.from(text).reduce((index, ch) => {
+        let out = ch.normalize('NFD').replace(/[\u0300-\u036f\u200b-\u200d\u00ad]/g, '').toLowerCase();
+        if (/^[\s\-_.,:;!?'"()[\]{}|/\\\u104a\u104b]+$/.test(out)) out = ' ';
+        for (const c of out) {
+            if (c === ' ' && (folded === '' || folded.endsWith(' '))) continue;
+            folded += c;
+            map.push(index);
+        }
+        return index + ch.length;
+    }, 0);
+    if (folded.endsWith(' ')) {
+        folded = folded.slice(0, -1);
+        map.pop();
+    }
+    return { folded, map };
+}
+
+/**
+ * Approximate substring search (Sellers' algorithm): the lowest edit distance between
+ * `needle` and any substring of `haystack`, with the matching range.
+ */
+function approximateFind(needle, haystack, maxErrors) {
+    const m = needle.length;
+    let dist = Array.from({ length: m + 1 }, (_, i) => i);
+    let start = new Array(m + 1).fill(0);
+    let best = { distance: dist[m], start: 0, end: 0 };
+
+    for (let j = 1; j <= haystack.length; j++) {
+        const nextDist = [0];
+        const nextStart = [j];
+        for (let i = 1; i <= m; i++) {
+            const cost = needle[i - 1] === haystack[j - 1] ? 0 : 1;
+            let d = dist[i - 1] + cost, s = start[i - 1];
+            if (nextDist[i - 1] + 1 < d) { d = nextDist[i - 1] + 1; s = nextStart[i - 1]; }
+            if (dist[i] + 1 < d) { d = dist[i] + 1; s = start[i]; }
+            nextDist.push(d);
+            nextStart.push(s);
+        }
+        dist = nextDist;
+        start = nextStart;
+        if (dist[m] < best.distance) {
+            best = { distance: dist[m], start: start[m], end: j };
+        }
+    }
+    return best.distance <= maxErrors ? best : null;
+}
+
+/**
+ * Scores a folded title against a folded query. Returns null when it doesn't match,
+ * otherwise `{ score, ranges }` where ranges are [start, end) in folded title space.
+ */
+function matchSearchQuery(foldedTitle, query) {
+    const exact = foldedTitle.indexOf(query);
+    if (exact > -1) {
+        const atWordStart = exact === 0 || foldedTitle[exact - 1] === ' ';
+        return { score: 100 + (atWordStart ? 10 : 0), ranges: [[exact, exact + query.length]] };
+    }
+
+    let total = 0;
+    const ranges = [];
+    for (const token of query.split(' ')) {
+        const index = foldedTitle.indexOf(token);
+        if (index > -1) {
+            total += 1;
+            ranges.push([index, index + token.length]);
+            continue;
+        }
+        if (token.length < MIN_FUZZY_TOKEN_LENGTH) return null;
+
+        const maxErrors = Math.min(2, Math.floor(token.length / 4));
+        const fuzzy = approximateFind(token, foldedTitle, maxErrors);
+        if (!fuzzy) return null;
+        total += 0.6 * (1 - fuzzy.distance / token.length);
+        ranges.push([fuzzy.start, fuzzy.end]);
+    }
+    return { score: 70 * total / ranges.length, ranges };
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+function highlightMatches(text, map, ranges) {
+    const marked = new Array(text.length).fill(false);
+    ranges.forEach(([from, to]) => {
+        if (to <= from) return;
+        const end = map[to - 1] + 1;
+        for (let i = map[from]; i < end; i++) marked[i] = true;
+    });
+
+    let html = '';
+    let i = 0;
+    while (i < text.length) {
+        let j = i;
+        while (j < text.length && marked[j] === marked[i]) j++;
+        const chunk = escapeHtml(text.slice(i, j));
+        html += marked[i] ? `<mark class="search-highlight">${chunk}</mark>` : chunk;
+        i = j;
+    }
+    return html;
+}
+
+function searchMovies(query) {
+    const foldedQuery = foldSearchText(normalizeMyanmar(query)).folded;
+    if (!foldedQuery) return [];
+
+    const seenIds = new Set();
+    const results = [];
+    for (const category in videos) {
+        videos[category].forEach(entry => {
+            const movie = findMovieById(entry.id) || entry; // trending entries resolve to their category copies
+            if (seenIds.has(movie.id)) return;
+            seenIds.add(movie.id);
+
+            const displayTitle = normalizeMyanmar(movie.title);
+            const { folded, map } = foldSearchText(displayTitle);
+            const match = matchSearchQuery(folded, foldedQuery);
+            if (match) {
+                results.push({ movie, score: match.score, titleHtml: highlightMatches(displayTitle, map, match.ranges) });
+            }
+        });
+    }
+    return results.sort((a, b) => b.score - a.score);
+}
+
+function clearSearchInput() {
+    const searchInput = document.getElementById('search-input');
+    if (searchInput) searchInput.value = '';
+    clearTimeout(searchTimeout);
+}
+
+window.handleSearchInput = function(value) {
+    clearTimeout(searchTimeout);
+    searchTimeout = setTimeout(() => runSearch(value), SEARCH_DEBOUNCE_MS);
+}
+
+function runSearch(query) {
+    const activeNavBtn = document.querySelector('.nav-btn.text-primary');
+    if (!query.trim()) {
+        if (activeNavBtn) changeNav(activeNavBtn);
+        return;
+    }
+
+    setContentLayout('grid');
+    const moviesContainer = document.getElementById('movies');
+    const t = getTranslations();
+    moviesContainer.innerHTML = `<h2 class="text-xl font-bold text-center w-full mb-4 text-white/80 col-span-full">${t.searchResultsTitle || 'Search Results'}</h2>`;
+    if (waitForCatalog(moviesContainer, () => runSearch(query))) return;
+
+    const results = searchMovies(query);
+
+    if (results.length === 0) {
+        moviesContainer.innerHTML += `<p class="text-center w-full text-gray-500 col-span-full">${t.noSearchResults || 'No movies match your search.'}</p>`;
+        return;
+    }
+
+    renderMovieGrid(moviesContainer, results, result => createMovieCard(result.movie, { titleHtml: result.titleHtml }));
+}
+
+
+// -------------------------------------------------------------------------
+// 8. ROUTING (Hash-based deep links: #/category/drama, #/movie/v42, #/favorites, #/trending/today, #/profile)
+// -------------------------------------------------------------------------
+
+let isApplyingRoute = false;
+let currentRouteHash = '';
+
+function routeToHash(path) {
+    return '#/' + path.split('/').map(encodeURIComponent).join('/');
+}
+
+function parseRoute(hash) {
+    let parts;
+    try {
+        parts = hash.replace(/^#\/?/, '').split('/').map(part => decodeURIComponent(part));
+    } catch (e) {
+        return { view: 'home', param: null }; // Malformed escape, e.g. a link cut off mid-character
+    }
+    const [view, param] = parts;
+    return { view: view || 'home', param: param || null };
+}
+
+// Records a user navigation as a new history entry (skipped while a route is being restored)
+function updateRoute(path) {
+    if (isApplyingRoute) return;
+    const hash = routeToHash(path);
+    if (currentRouteHash === hash) return;
+    currentRouteHash = hash;
+    history.pushState(null, '', hash);
+}
+
+function handleRouteChange() {
+    if (window.location.hash !== currentRouteHash) {
+        applyRoute(window.location.hash);
+    }
+}
+
+function showHomeWithCategory(category) {
+    const categoryBtn = findCategoryButton(category);
+    if (categoryBtn) setActiveCategoryButton(categoryBtn);
+    changeNav(document.querySelector('.nav-btn[data-nav="home"]'));
+}
+
+// Renders the view for a route and returns its canonical path, falling back to Home for unknown ids
+function renderRoute({ view, param }) {
+    const t = getTranslations();
+
+    switch (view) {
+        case 'category':
+            if (param && findCategoryButton(param)) {
+                showHomeWithCategory(param);
+                return 'category/' + param;
+            }
+            break;
+
+        case 'movie': {
+            if (isLegacyMovieId(param) && legacyIdMap) {
+                param = legacyIdMap[param] || param;
+            }
+            const category = findMovieCategory(param);
+            if (!category) {
+                showCustomAlert(t.Error || 'Error', t.movieNotFound || 'This movie is no longer available.');
+                break;
+            }
+            if (category === 'trending') {
+                changeNav(document.querySelector('.nav-btn[data-nav="trending"]'));
+            } else {
+                showHomeWithCategory(category);
+            }
+            if (!currentPlayingMovie || currentPlayingMovie.id !== param) {
+                playVideo(param);
+            }
+            return 'movie/' + currentPlayingMovie.id; // A series starts at its current episode
+        }
+
+        case 'favorites':
+            activeCollectionId = findCollection(param) ? param : null;
+            changeNav(document.querySelector('.nav-btn[data-nav="favorites"]'));
+            return activeCollectionId ? 'favorites/' + activeCollectionId : 'favorites';
+
+        case 'trending':
+            activeTrendingWindow = TRENDING_WINDOWS.includes(param) ? param : DEFAULT_TRENDING_WINDOW;
+            changeNav(document.querySelector('.nav-btn[data-nav="trending"]'));
+            return getTrendingRoute();
+
+        case 'profile':
+            changeNav(document.querySelector('.nav-btn[data-nav="profile"]'));
+            return view;
+    }
+
+    changeNav(document.querySelector('.nav-btn[data-nav="home"]'));
+    const activeCategoryBtn = document.querySelector('.menu-btn.active-category');
+    return activeCategoryBtn ? 'category/' + activeCategoryBtn.dataset.category : '';
+}
+
+async function applyRoute(hash) {
+    const route = parseRoute(hash);
+    if (route.view === 'movie' && !findMovieById(route.param)) {
+        await loadAllCategories(); // The movie may be in a category file that is not loaded yet
+    }
+
+    isApplyingRoute = true;
+    let path;
+    try {
+        path = renderRoute(route);
+    } finally {
+        isApplyingRoute = false;
+    }
+
+    currentRouteHash = routeToHash(path);
+    if (window.location.hash !== currentRouteHash) {
+        history.replaceState(null, '', currentRouteHash);
+    }
+}
+
+
+// -------------------------------------------------------------------------
+// 9. WATCH HISTORY (Continue Watching + resume position)
+// -------------------------------------------------------------------------
+
+const MAX_HISTORY_ENTRIES = 200;
+const CONTINUE_WATCHING_LIMIT = 10;
+const POSITION_SAVE_INTERVAL_MS = 5000;
+const MIN_RESUME_SECONDS = 10;
+const END_CREDITS_SECONDS = 30; // Closer than this to the end counts as finished
+
+let positionSaveInterval = null;
+
+function saveWatchHistory() {
+    try {
+        localStorage.setItem('watchHistory', JSON.stringify(watchHistory));
+    } catch (e) { /* Error */ }
+}
+
+// Entries keep a title/thumb snapshot, so history survives catalog reloads even if a movie is gone for a while.
+// `plays` holds the start times of the last PLAY_LOG_DAYS days for Trending (section 20).
+function recordWatch(movie) {
+    const entry = watchHistory[movie.id] || { playCount: 0, position: 0, duration: 0 };
+    const now = Date.now();
+    watchHistory[movie.id] = {
+        ...entry,
+        title: movie.title,
+        thumb: movie.thumb,
+        lastWatched: now,
+        playCount: entry.playCount + 1,
+        plays: [...(entry.plays || []).filter(time => time > now - PLAY_LOG_DAYS * DAY_MS), now],
+    };
+
+    const ids = Object.keys(watchHistory);
+    if (ids.length > MAX_HISTORY_ENTRIES) {
+        ids.sort((a, b) => watchHistory[b].lastWatched - watchHistory[a].lastWatched)
+            .slice(MAX_HISTORY_ENTRIES)
+            .forEach(id => delete watchHistory[id]);
+    }
+    saveWatchHistory();
+}
+
+function getResumePosition(movieId) {
+    const entry = watchHistory[movieId];
+    if (!entry || entry.position < MIN_RESUME_SECONDS) return 0;
+    if (entry.duration && entry.position > entry.duration - END_CREDITS_SECONDS) return 0;
+    return Math.floor(entry.position);
+}
+
+function getWatchProgress(movieId) {
+    const entry = watchHistory[movieId];
+    if (!entry || !entry.duration || !getResumePosition(movieId)) return 0;
+    return Math.min(1, entry.position / entry.duration);
+}
+
+function stopPositionTracking() {
+    clearInterval(positionSaveInterval);
+    positionSaveInterval = null;
+}
+
+// Player events (same for every adapter, see section 12)
+function handlePlayerEvent(type) {
+    if (type === 'play') {
+        if (!positionSaveInterval) positionSaveInterval = setInterval(savePlaybackPosition, POSITION_SAVE_INTERVAL_MS);
+    } else if (type === 'pause' || type === 'ended') {
+        stopPositionTracking();
+        savePlaybackPosition();
+    }
+    if (type === 'ended') {
+        const nextEpisode = getAdjacentEpisode(currentPlayingMovie, 1);
+        if (nextEpisode) playVideo(nextEpisode.id, { autoplay: true });
+    }
+}
+
+function savePlaybackPosition() {
+    if (!activePlayer || !currentPlayingMovie) return;
+    const entry = watchHistory[currentPlayingMovie.id];
+    if (!entry) return;
+
+    const position = activePlayer.getCurrentTime();
+    const duration = activePlayer.getDuration();
+    if (!position) return; // Player not started yet (or it can't report a position)
+    entry.position = position;
+    entry.duration = duration || entry.duration;
+    saveWatchHistory();
+}
+
+// Most recent first; a series only shows up with its latest episode
+function getRecentlyWatched() {
+    const seenSeries = new Set();
+    return Object.keys(watchHistory)
+        .sort((a, b) => watchHistory[b].lastWatched - watchHistory[a].lastWatched)
+        .map(id => findMovieById(id))
+        .filter(movie => {
+            if (movie === null) return false;
+            if (!movie.seriesId) return true;
+            if (seenSeries.has(movie.seriesId)) return false;
+            seenSeries.add(movie.seriesId);
+            return true;
+        });
+}
+
+function createContinueWatchingRow() {
+    const recentMovies = getRecentlyWatched().slice(0, CONTINUE_WATCHING_LIMIT);
+    if (recentMovies.length === 0) return null;
+
+    const t = getTranslations();
+    const row = document.createElement('div');
+    row.id = 'continue-watching';
+    row.className = 'col-span-full w-full mb-4';
+    row.innerHTML = `
+        <h2 class="text-lg font-bold mb-2 text-white/80">${t.continueWatching || 'Continue Watching'}</h2>
+        <div class="flex space-x-2 overflow-x-auto pb-2"></div>
+    `;
+
+    renderMovieGrid(row.querySelector('div'), recentMovies, movie => {
+        const item = document.createElement('div');
+        item.className = 'w-36 flex-shrink-0';
+        item.appendChild(createMovieCard(movie, { progress: getWatchProgress(movie.id) }));
+        return item;
+    });
+    return row;
+}
+
+// History can point into category files that are not loaded yet; the row then follows once they are
+function appendContinueWatchingRow(container) {
+    if (Object.keys(watchHistory).length === 0 || isCatalogLoaded() || allCategoriesTried) {
+        const continueRow = createContinueWatchingRow();
+        if (continueRow) container.appendChild(continueRow);
+        return;
+    }
+
+    const slot = document.createElement('div');
+    slot.className = 'col-span-full w-full';
+    container.appendChild(slot);
+    loadAllCategories().then(() => {
+        const continueRow = createContinueWatchingRow();
+        if (continueRow && slot.isConnected) slot.replaceWith(continueRow);
+        else slot.remove();
+    });
+}
+
+function renderWatchHistorySettings(t) {
+    const ids = Object.keys(watchHistory).sort((a, b) => watchHistory[b].lastWatched - watchHistory[a].lastWatched);
+    const locale = getTranslator().locale;
+
+    const rows = ids.map(id => {
+        const entry = watchHistory[id];
+        const playCountText = translate('playCount', { count: entry.playCount }, '{count} plays');
+        return `
+            <li class="flex items-center space-x-3 py-2 border-b border-gray-700 last:border-0">
+                <img src="${escapeHtml(entry.thumb || '')}" alt="" onerror="this.onerror=null;this.src='https://placehold.co/100x100/1a1a1a/cccccc?text=WY'" class="w-16 aspect-video object-cover rounded flex-shrink-0">
+                <div class="flex-grow min-w-0">
+                    <p class="text-sm font-medium truncate">${escapeHtml(entry.title || id)}</p>
+                    <p class="text-xs text-gray-400">${new Date(entry.lastWatched).toLocaleDateString(locale)} · ${playCountText}</p>
+                </div>
+                <button onclick="removeFromHistory('${id}')" class="text-gray-400 hover:text-red-500 p-1" title="${t.removeFromHistory || 'Remove'}">
+                    <svg xmlns="http://www.w3.org/2000/svg" class="w-5 h-5" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M18 6 6 18M6 6l12 12"/></svg>
+                </button>
+            </li>
+        `;
+    }).join('');
+
+    return `
+        <div class="p-4 bg-gray-800 rounded-lg shadow-lg">
+            <div class="flex justify-between items-center mb-3">
+                <h3 class="text-xl font-semibold">${t.watchHistoryTitle || 'Watch History'}</h3>
+                ${ids.length ? `<button onclick="clearWatchHistory()" class="text-sm text-red-500 hover:text-red-400 font-semibold">${t.clearHistory || 'Clear All'}</button>` : ''}
+            </div>
+            ${ids.length
+                ? `<ul class="max-h-72 overflow-y-auto">${rows}</ul>`
+                : `<p class="text-gray-500 text-sm">${t.noHistory || 'Nothing watched yet.'}</p>`}
+        </div>
+    `;
+}
+
+window.removeFromHistory = function(movieId) {
+    delete watchHistory[movieId];
+    saveWatchHistory();
+    displayProfileSettings();
+}
+
+window.clearWatchHistory = function() {
+    watchHistory = {};
+    saveWatchHistory();
+    displayProfileSettings();
+}
+
+window.addEventListener('pagehide', savePlaybackPosition);
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') savePlaybackPosition();
+});
+
+
+// -------------------------------------------------------------------------
+// 10. MOVIE DETAIL SHEET (Optional metadata: year, duration, genres, cast, description, subtitleBy, part/parts)
+// -------------------------------------------------------------------------
+
+let detailMovieId = null;
+let detailSeasonIndex = 0;
+
+// `description` is either { myanmar, english } or a single string
+function getMovieDescription(movie) {
+    const description = movie.description;
+    if (typeof description === 'string') return description;
+    if (!description || typeof description !== 'object') return '';
+    return description[currentSettings.language] || description.myanmar || description.english || '';
+}
+
+function formatDuration(minutes, t) {
+    if (!Number.isFinite(minutes) || minutes <= 0) return '';
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    return hours
+        ? translate('durationHours', { hours, minutes: rest }, '{hours}h {minutes}m')
+        : translate('durationMinutes', { minutes: rest }, '{minutes} min');
+}
+
+function renderMovieDetails(movie) {
+    const t = getTranslations();
+    const isFav = favorites.includes(getFavoriteId(movie.id));
+    const genres = Array.isArray(movie.genres) ? movie.genres : [];
+    const cast = Array.isArray(movie.cast) ? movie.cast : [];
+    const description = getMovieDescription(movie);
+    const facts = [
+        Number.isFinite(movie.year) ? movie.year : '',
+        formatDuration(movie.duration, t),
+        Number.isFinite(movie.part) ? translate('partLabel', { part: movie.part, parts: movie.parts || '?' }, 'Part {part} of {parts}') : '',
+        isSeries(movie) ? translate('episodeCount', { count: getSeriesEpisodes(movie).length }, '{count} EP') : '',
+    ].filter(Boolean);
+
+    return `
+        <div class="relative w-full aspect-video bg-black">
+            <img src="${escapeHtml(movie.thumb)}" alt="" onerror="this.onerror=null;this.src='https://placehold.co/100x100/1a1a1a/cccccc?text=WY'" class="w-full h-full object-cover">
+            <button onclick="closeMovieDetails()" class="absolute top-3 right-3 bg-black/50 hover:bg-black/70 p-2 rounded-full text-white" title="${t.close || 'Close'}" aria-label="${t.close || 'Close'}">
+                <svg xmlns="http://www.w3.org/2000/svg" class="w-5 h-5" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M18 6 6 18M6 6l12 12"/></svg>
+            </button>
+        </div>
+        <div class="p-4 space-y-3">
+            <h2 id="movie-detail-title" class="text-xl font-bold text-primary">${escapeHtml(movie.title)}</h2>
+            ${facts.length ? `<p class="text-sm text-gray-400">${facts.map(escapeHtml).join(' · ')}</p>` : ''}
+            ${genres.length ? `<div class="flex flex-wrap gap-1">${genres.map(genre => `<span class="text-xs bg-gray-800 px-2 py-1 rounded-full">${escapeHtml(genre)}</span>`).join('')}</div>` : ''}
+            ${description ? `<p class="text-sm leading-relaxed text-white/90">${escapeHtml(description)}</p>` : ''}
+            ${cast.length ? `<p class="text-sm"><span class="text-gray-400">${t.castLabel || 'Cast:'}</span> ${cast.map(escapeHtml).join(', ')}</p>` : ''}
+            ${movie.subtitleBy ? `<p class="text-sm"><span class="text-gray-400">${t.subtitleLabel || 'Subtitles:'}</span> ${escapeHtml(movie.subtitleBy)}</p>` : ''}
+            ${isSeries(movie) ? renderEpisodeList(movie, t) : ''}
+
+            <div class="flex space-x-2 pt-2">
+                <button onclick="playFromDetails()" class="flex-grow bg-primary text-black font-semibold py-2 rounded-lg hover:bg-opacity-90 transition duration-200 flex items-center justify-center space-x-2">
+                    <svg xmlns="http://www.w3.org/2000/svg" class="w-5 h-5" viewBox="0 0 24 24" fill="currentColor" stroke="none"><path d="M8 5v14l11-7z"/></svg>
+                    <span>${t.nowPlaying || 'Play Now'}</span>
+                </button>
+                <button id="detail-favorite-btn" onclick="toggleFavoriteFromDetails()" class="px-4 rounded-lg border border-gray-700 transition duration-200 ${isFav ? 'text-red-500' : 'text-gray-500 hover:text-red-500'}" title="${isFav ? (t.removeFavorite || 'Remove from Favorites') : (t.addFavorite || 'Add to Favorites')}" aria-label="${isFav ? (t.removeFavorite || 'Remove from Favorites') : (t.addFavorite || 'Add to Favorites')}">
+                    <svg xmlns="http://www.w3.org/2000/svg" class="w-6 h-6" viewBox="0 0 24 24" fill="${isFav ? 'currentColor' : 'none'}" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"/></svg>
+                </button>
+            </div>
+            ${renderCollectionChips(movie, t)}
+        </div>
+    `;
+}
+
+window.openMovieDetails = function(movieId) {
+    let movie = findMovieById(movieId);
+    if (!movie) return;
+
+    // An episode opens its series, with the episode's season selected
+    if (movie.seriesId) {
+        if (detailMovieId !== movie.seriesId) detailSeasonIndex = movie.seasonIndex;
+        movie = findMovieById(movie.seriesId);
+    } else if (detailMovieId !== movie.id) {
+        detailSeasonIndex = isSeries(movie) ? getSeriesStartEpisode(movie).seasonIndex : 0;
+    }
+
+    detailMovieId = movie.id;
+    const modal = document.getElementById('movie-detail-modal');
+    const focusIndex = getFocusableElements(modal).indexOf(document.activeElement); // Re-renders keep the focused control
+    document.getElementById('movie-detail-content').innerHTML = renderMovieDetails(movie);
+    modal.classList.remove('hidden');
+    document.body.style.overflow = 'hidden';
+    openModal(modal, closeMovieDetails, getFocusableElements(modal)[focusIndex]);
+}
+
+window.closeMovieDetails = function() {
+    const modal = document.getElementById('movie-detail-modal');
+    modal.classList.add('hidden');
+    document.body.style.overflow = '';
+    detailMovieId = null;
+    closeModal(modal);
+}
+
+window.playFromDetails = function() {
+    const movieId = detailMovieId;
+    closeMovieDetails();
+    playVideo(movieId);
+}
+
+window.toggleFavoriteFromDetails = function() {
+    if (!detailMovieId) return;
+    toggleFavorite(detailMovieId);
+    openMovieDetails(detailMovieId); // Re-render the sheet with the new state
+}
+
+window.selectDetailSeason = function(seasonIndex) {
+    if (!detailMovieId) return;
+    detailSeasonIndex = seasonIndex;
+    openMovieDetails(detailMovieId);
+}
+
+window.playEpisodeFromDetails = function(episodeId) {
+    closeMovieDetails();
+    playVideo(episodeId);
+}
+
+
+// -------------------------------------------------------------------------
+// 11. SERIES AND MULTI-PART MOVIES (seasons → episodes, next-episode autoplay)
+// -------------------------------------------------------------------------
+
+// Episodes are favorited as their series, so the heart is shared by every episode
+function getFavoriteId(movieId) {
+    const movie = findMovieById(movieId);
+    return movie && movie.seriesId ? movie.seriesId : movieId;
+}
+
+// Older builds listed parts as separate movies; fold favorites of those into the series
+function promoteEpisodeFavorites() {
+    const promoted = [...new Set(favorites.map(getFavoriteId))];
+    if (promoted.length !== favorites.length || promoted.some((id, i) => id !== favorites[i])) {
+        favorites = promoted;
+        saveFavorites();
+    }
+}
+
+// The most recently watched episode, or the first one for a new series
+function getSeriesStartEpisode(series) {
+    const episodes = getSeriesEpisodes(series);
+    const watched = episodes
+        .filter(episode => watchHistory[episode.id])
+        .sort((a, b) => watchHistory[b.id].lastWatched - watchHistory[a.id].lastWatched);
+    return watched[0] || episodes[0];
+}
+
+// step: 1 for the next episode, -1 for the previous one
+function getAdjacentEpisode(movie, step) {
+    if (!movie || !movie.seriesId) return null;
+    const series = findMovieById(movie.seriesId);
+    if (!series) return null;
+    const episodes = getSeriesEpisodes(series);
+    return episodes[episodes.findIndex(episode => episode.id === movie.id) + step] || null;
+}
+
+function updateEpisodeControls(movie) {
+    const t = getTranslations();
+    const controls = [
+        ['prev-episode-btn', getAdjacentEpisode(movie, -1), t.previousEpisode || 'Previous episode'],
+        ['next-episode-btn', getAdjacentEpisode(movie, 1), t.nextEpisode || 'Next episode'],
+    ];
+    controls.forEach(([id, episode, label]) => {
+        const button = document.getElementById(id);
+        if (!button) return;
+        button.classList.toggle('hidden', !episode);
+        button.title = episode ? `${label}: ${episode.title}` : '';
+    });
+}
+
+window.playNextEpisode = function() {
+    const episode = getAdjacentEpisode(currentPlayingMovie, 1);
+    if (episode) playVideo(episode.id, { autoplay: true });
+}
+
+window.playPreviousEpisode = function() {
+    const episode = getAdjacentEpisode(currentPlayingMovie, -1);
+    if (episode) playVideo(episode.id, { autoplay: true });
+}
+
+function renderEpisodeList(series, t) {
+    const seasonIndex = Math.min(detailSeasonIndex, series.seasons.length - 1);
+    const seasonTitle = (season, index) => season.title || translate('seasonLabel', { season: index + 1 }, 'Season {season}');
+    const playingId = currentPlayingMovie ? currentPlayingMovie.id : null;
+
+    const seasonTabs = series.seasons.length > 1 ? `
+        <div class="flex space-x-2 overflow-x-auto pb-1">
+            ${series.seasons.map((season, index) => `
+                <button onclick="selectDetailSeason(${index})" class="flex-shrink-0 text-sm px-3 py-1 rounded-full transition duration-200 ${index === seasonIndex ? 'bg-primary text-black font-semibold' : 'bg-gray-800 text-white/80 hover:bg-gray-700'}">${escapeHtml(seasonTitle(season, index))}</button>
+            `).join('')}
+        </div>` : '';
+
+    const episodeRows = series.seasons[seasonIndex].episodes.map((episode, index) => {
+        const progress = getWatchProgress(episode.id);
+        const isPlaying = episode.id === playingId;
+        return `
+            <button onclick="playEpisodeFromDetails('${episode.id}')" class="w-full flex items-center space-x-3 p-2 rounded-lg text-left transition duration-200 ${isPlaying ? 'bg-gray-800' : 'hover:bg-gray-800'}">
+                <span class="w-6 text-center text-sm ${isPlaying ? 'text-primary font-bold' : 'text-gray-400'}">${index + 1}</span>
+                <div class="relative w-24 flex-shrink-0 aspect-video rounded overflow-hidden bg-black">
+                    <img src="${escapeHtml(episode.thumb)}" alt="${escapeHtml(episode.title)}" onerror="this.onerror=null;this.src='https://placehold.co/100x100/1a1a1a/cccccc?text=WY'" class="w-full h-full object-cover">
+                    ${progress ? `<div class="absolute bottom-0 left-0 right-0 h-1 bg-gray-700"><div class="h-full bg-red-600" style="width: ${Math.round(progress * 100)}%"></div></div>` : ''}
+                </div>
+                <span class="flex-grow text-sm ${isPlaying ? 'text-primary' : 'text-white/90'} line-clamp-2">${escapeHtml(episode.title)}</span>
+            </button>
+        `;
+    }).join('');
+
+    return `
+        <div class="pt-2 space-y-2">
+            <h3 class="text-base font-semibold text-white/90">${t.episodesTitle || 'Episodes'}</h3>
+            ${seasonTabs}
+            <div class="space-y-1">${episodeRows}</div>
+        </div>
+    `;
+}
+
+
+// -------------------------------------------------------------------------
+// 12. PLAYER ADAPTERS (YouTube IFrame API, mega.nz embed, native <video> for .mp4/.m3u8)
+// -------------------------------------------------------------------------
+
+/*
+ * Every adapter is create(movie, { startSeconds, autoplay }, emit) and returns
+ * { controllable, play(), pause(), seek(seconds), getCurrentTime(), getDuration(), destroy() }.
+ * It calls emit('ready') once the source loaded, emit('play' | 'pause' | 'ended') and
+ * emit('error', reason); the app only talks to this interface (handlePlayerEvent), never to a host directly.
+ * Embeds without an API (mega.nz) are not controllable: position is 0 and play/pause/seek do nothing.
+ */
+
+const HLS_SCRIPT_URL = 'https://cdn.jsdelivr.net/npm/hls.js@1/dist/hls.min.js';
+
+const PLAYER_ADAPTERS = [
+    { name: 'youtube', canPlay: src => Boolean(getYouTubeVideoId(src)), create: createYouTubeAdapter },
+    { name: 'mega', canPlay: src => /^https:\/\/mega\.nz\/embed\//.test(src), create: createMegaAdapter },
+    { name: 'video', canPlay: src => CatalogValidator.DIRECT_VIDEO_PATTERN.test(src), create: createNativeVideoAdapter },
+];
+
+const PLAYER_LOAD_TIMEOUT_MS = 20000; // No 'ready' by then counts as a broken source
+
+let activePlayer = null;
+let playerLoadTimeout = null;
+const scriptPromises = {};
+
+function getPlayerAdapter(src) {
+    return PLAYER_ADAPTERS.find(adapter => adapter.canPlay(String(src || ''))) || { name: 'embed', create: createEmbedAdapter };
+}
+
+// `src` first, then the valid `mirrors` in catalog order
+function getMovieSources(movie) {
+    const mirrors = Array.isArray(movie.mirrors) ? movie.mirrors.filter(src => !CatalogValidator.validateSrc(src)) : [];
+    return [movie.src, ...mirrors.filter(src => src !== movie.src)];
+}
+
+function loadPlayer(movie, options = {}, sourceIndex = 0) {
+    stopPositionTracking();
+    clearTimeout(playerLoadTimeout);
+    if (activePlayer) activePlayer.destroy();
+
+    const src = getMovieSources(movie)[sourceIndex];
+    const adapter = getPlayerAdapter(src);
+    let player = null;
+    // Late events from a replaced player (e.g. the YouTube API finishing after a switch) are dropped
+    const emit = (type, detail) => {
+        if (player === null || activePlayer !== player) return;
+        if (type === 'ready') {
+            clearTimeout(playerLoadTimeout);
+        } else if (type === 'error') {
+            clearTimeout(playerLoadTimeout);
+            handlePlayerError(movie, src, detail, options, sourceIndex);
+        } else {
+            if (type === 'play') clearPlaybackFailure(src);
+            handlePlayerEvent(type);
+        }
+    };
+    player = adapter.create({ ...movie, src }, options, emit);
+    player.name = adapter.name;
+    player.src = src;
+    activePlayer = player;
+    playerLoadTimeout = setTimeout(() => emit('error', 'load timeout'), PLAYER_LOAD_TIMEOUT_MS);
+    return player;
+}
+
+// Records the failure, then moves on to the next mirror; the user only hears about it when none is left
+function handlePlayerError(movie, src, reason, options, sourceIndex) {
+    stopPositionTracking();
+    console.error(`Playback failed for "${movie.title}" (${src}): ${reason}`);
+    recordPlaybackFailure(movie, src, reason);
+
+    if (sourceIndex + 1 < getMovieSources(movie).length) {
+        loadPlayer(movie, options, sourceIndex + 1);
+        return;
+    }
+    const t = getTranslations();
+    showCustomAlert(t.Error || 'Error', t.playbackError || "This video can't be played right now.");
+}
+
+// Shows the element a player renders into and hides the other one
+function showPlayerElement(id) {
+    ['iframePlayer', 'videoPlayer'].forEach(elementId => {
+        const element = document.getElementById(elementId);
+        if (element) element.classList.toggle('hidden', elementId !== id);
+    });
+    return document.getElementById(id);
+}
+
+function loadScript(src) {
+    if (!scriptPromises[src]) {
+        scriptPromises[src] = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = resolve;
+            script.onerror = () => {
+                delete scriptPromises[src]; // Try again next time
+                reject(new Error(`Failed to load ${src}`));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return scriptPromises[src];
+}
+
+// Iframe embeds without a JS API. Host error pages still "load", so only unreachable hosts are detected
+function createIframeAdapter(src, emit) {
+    const iframe = showPlayerElement('iframePlayer');
+    const onLoad = () => emit('ready');
+    iframe.addEventListener('load', onLoad);
+    iframe.src = src;
+    return {
+        controllable: false,
+        play() {},
+        pause() {},
+        seek() {},
+        getCurrentTime: () => 0,
+        getDuration: () => 0,
+        destroy: () => iframe.removeEventListener('load', onLoad),
+    };
+}
+
+function createEmbedAdapter(movie, options, emit) {
+    return createIframeAdapter(movie.src, emit);
+}
+
+// mega.nz reads player options from the end of the key fragment; "!1a" starts playback
+function createMegaAdapter(movie, options, emit) {
+    return createIframeAdapter(options.autoplay ? movie.src + '!1a' : movie.src, emit);
+}
+
+// --- YouTube ---
+
+let youTubeApiPromise = null;
+
+// YT onError codes
+const YOUTUBE_ERRORS = {
+    2: 'invalid video id',
+    5: 'HTML5 player error',
+    100: 'video removed or private',
+    101: 'embedding disabled by the owner',
+    150: 'embedding disabled by the owner',
+};
+
+function getYouTubeVideoId(src) {
+    const match = String(src).match(/youtube(?:-nocookie)?\.com\/embed\/([\w-]{11})/);
+    return match ? match[1] : null;
+}
+
+function buildYouTubeEmbedSrc(src, startSeconds, autoplay) {
+    const url = new URL(src);
+    url.searchParams.set('enablejsapi', '1');
+    if (autoplay) url.searchParams.set('autoplay', '1');
+    if (window.location.origin && window.location.origin !== 'null') {
+        url.searchParams.set('origin', window.location.origin);
+    }
+    if (startSeconds) {
+        url.searchParams.set('start', String(startSeconds));
+    } else {
+        url.searchParams.delete('start');
+    }
+    return url.toString();
+}
+
+function loadYouTubeApi() {
+    if (!youTubeApiPromise) {
+        youTubeApiPromise = new Promise((resolve, reject) => {
+            if (window.YT && window.YT.Player) return resolve(window.YT);
+            const previousReady = window.onYouTubeIframeAPIReady;
+            window.onYouTubeIframeAPIReady = () => {
+                if (previousReady) previousReady();
+                resolve(window.YT);
+            };
+            loadScript('https://www.youtube.com/iframe_api').catch(error => {
+                youTubeApiPromise = null;
+                reject(error);
+            });
+        });
+    }
+    return youTubeApiPromise;
+}
+
+function createYouTubeAdapter(movie, options, emit) {
+    const iframe = showPlayerElement('iframePlayer');
+    const onLoad = () => emit('ready'); // Removed videos still load; those are reported through onError
+    iframe.addEventListener('load', onLoad);
+    iframe.src = buildYouTubeEmbedSrc(movie.src, options.startSeconds, options.autoplay);
+
+    let player = null;
+    let destroyed = false;
+    const call = (method, ...args) => (player && typeof player[method] === 'function' ? player[method](...args) : undefined);
+
+    // The video already plays in the iframe; the API only adds control and events
+    loadYouTubeApi().then(YT => {
+        if (destroyed) return;
+        player = new YT.Player('iframePlayer', {
+            events: {
+                onStateChange: event => {
+                    if (event.data === YT.PlayerState.PLAYING) emit('play');
+                    else if (event.data === YT.PlayerState.PAUSED) emit('pause');
+                    else if (event.data === YT.PlayerState.ENDED) emit('ended');
+                },
+                onError: event => emit('error', YOUTUBE_ERRORS[event.data] || `YouTube error ${event.data}`),
+            },
+        });
+    }).catch(() => {
+        console.error("Failed to load the YouTube IFrame API. Resume positions won't be saved.");
+    });
+
+    return {
+        controllable: true,
+        play: () => call('playVideo'),
+        pause: () => call('pauseVideo'),
+        seek: seconds => call('seekTo', seconds, true),
+        getCurrentTime: () => call('getCurrentTime') || 0,
+        getDuration: () => call('getDuration') || 0,
+        destroy: () => {
+            destroyed = true;
+            iframe.removeEventListener('load', onLoad);
+            if (player && typeof player.destroy === 'function') {
+                // The API removes the iframe it was given; the next movie plays in it again
+                const { parentNode, nextSibling } = iframe;
+                player.destroy();
+                if (!iframe.isConnected && parentNode) parentNode.insertBefore(iframe, nextSibling);
+            }
+            player = null;
+        },
+    };
+}
+
+// --- Native <video> (direct files, HLS, external subtitles) ---
+
+// .srt => WebVTT: header plus "," => "." in the timestamps
+function srtToVtt(text) {
+    return 'WEBVTT\n\n' + text
+        .replace(/\r\n?/g, '\n')
+        .replace(/(\d{1,2}:\d{2}:\d{2}),(\d{3})/g, '$1.$2');
+}
+
+// Tracks are fetched instead of linked so .srt works and Zawgyi subtitles show as Unicode
+async function loadSubtitleTrack(subtitle) {
+    const response = await fetch(subtitle.src);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    let text = (await response.text()).replace(/^\uFEFF/, '');
+    if (!/^WEBVTT/.test(text)) text = srtToVtt(text);
+    return URL.createObjectURL(new Blob([normalizeMyanmar(text)], { type: 'text/vtt' }));
+}
+
+function attachSubtitleTracks(video, subtitles, isCurrent) {
+    const trackUrls = [];
+    (Array.isArray(subtitles) ? subtitles : []).forEach((subtitle, index) => {
+        loadSubtitleTrack(subtitle).then(url => {
+            if (!isCurrent()) return URL.revokeObjectURL(url); // The player was closed meanwhile
+            trackUrls.push(url);
+            const track = document.createElement('track');
+            track.kind = 'subtitles';
+            track.srclang = subtitle.lang || 'my';
+            track.label = subtitle.label || (track.srclang === 'my' ? 'မြန်မာ' : track.srclang);
+            track.src = url;
+            track.default = index === 0;
+            video.appendChild(track);
+            if (index === 0 && video.textTracks.length) video.textTracks[video.textTracks.length - 1].mode = 'showing';
+        }).catch(error => console.error(`Subtitle ${subtitle.src} could not be loaded: ${error.message}`));
+    });
+    return trackUrls;
+}
+
+function createNativeVideoAdapter(movie, options, emit) {
+    document.getElementById('iframePlayer').src = 'about:blank'; // Stop the hidden embed
+    const video = showPlayerElement('videoPlayer');
+    let destroyed = false;
+    let hls = null;
+
+    const listeners = {
+        play: () => emit('play'),
+        pause: () => { if (!video.ended) emit('pause'); },
+        ended: () => emit('ended'),
+        error: () => emit('error', video.error ? `media error ${video.error.code}` : 'media error'),
+        loadedmetadata: () => {
+            if (options.startSeconds) video.currentTime = options.startSeconds;
+            emit('ready');
+        },
+    };
+    Object.entries(listeners).forEach(([type, listener]) => video.addEventListener(type, listener));
+
+    video.autoplay = Boolean(options.autoplay);
+    const trackUrls = attachSubtitleTracks(video, movie.subtitles, () => !destroyed);
+
+    // HLS plays natively on Safari/Android; elsewhere hls.js feeds it through Media Source Extensions
+    const isHls = /\.m3u8([?#]|$)/i.test(movie.src);
+    if (isHls && !video.canPlayType('application/vnd.apple.mpegurl')) {
+        loadScript(HLS_SCRIPT_URL).then(() => {
+            if (destroyed) return;
+            if (!window.Hls || !window.Hls.isSupported()) return emit('error', 'HLS is not supported by this browser');
+            hls = new window.Hls();
+            hls.on(window.Hls.Events.ERROR, (event, data) => {
+                if (data.fatal) emit('error', `HLS ${data.type}: ${data.details}`);
+            });
+            hls.loadSource(movie.src);
+            hls.attachMedia(video);
+        }).catch(error => emit('error', error.message));
+    } else {
+        video.src = movie.src;
+    }
+
+    return {
+        controllable: true,
+        play: () => video.play().catch(() => { /* Autoplay blocked */ }),
+        pause: () => video.pause(),
+        seek: seconds => { video.currentTime = seconds; },
+        getCurrentTime: () => video.currentTime || 0,
+        getDuration: () => (Number.isFinite(video.duration) ? video.duration : 0),
+        destroy: () => {
+            destroyed = true;
+            Object.entries(listeners).forEach(([type, listener]) => video.removeEventListener(type, listener));
+            if (hls) hls.destroy();
+            video.pause();
+            video.removeAttribute('src');
+            video.querySelectorAll('track').forEach(track => track.remove());
+            video.load();
+            trackUrls.forEach(url => URL.revokeObjectURL(url));
+            showPlayerElement('iframePlayer');
+        },
+    };
+}
+
+// -------------------------------------------------------------------------
+// 13. BROKEN SOURCES (Failure log + dead links report for maintainers)
+// -------------------------------------------------------------------------
+
+const MAX_FAILURE_RECORDS = 200;
+
+function savePlaybackFailures() {
+    try {
+        localStorage.setItem('playbackFailures', JSON.stringify(playbackFailures));
+    } catch (e) { /* Error */ }
+}
+
+function recordPlaybackFailure(movie, src, reason) {
+    const now = Date.now();
+    const record = playbackFailures[src] || { count: 0, firstFailed: now };
+    playbackFailures[src] = {
+        ...record,
+        movieId: movie.id,
+        title: movie.title,
+        category: findMovieCategory(movie.id),
+        reason,
+        count: record.count + 1,
+        lastFailed: now,
+    };
+
+    const srcs = Object.keys(playbackFailures);
+    if (srcs.length > MAX_FAILURE_RECORDS) {
+        srcs.sort((a, b) => playbackFailures[b].lastFailed - playbackFailures[a].lastFailed)
+            .slice(MAX_FAILURE_RECORDS)
+            .forEach(failedSrc => delete playbackFailures[failedSrc]);
+    }
+    savePlaybackFailures();
+}
+
+// A source that plays again is not dead (the failure was temporary)
+function clearPlaybackFailure(src) {
+    if (!playbackFailures[src]) return;
+    delete playbackFailures[src];
+    savePlaybackFailures();
+}
+
+function buildDeadLinksReport() {
+    const links = Object.keys(playbackFailures)
+        .map(src => ({ src, ...playbackFailures[src] }))
+        .sort((a, b) => b.lastFailed - a.lastFailed)
+        .map(link => ({
+            ...link,
+            firstFailed: new Date(link.firstFailed).toISOString(),
+            lastFailed: new Date(link.lastFailed).toISOString(),
+        }));
+    return { generatedAt: new Date().toISOString(), userAgent: navigator.userAgent, links };
+}
+
+window.exportDeadLinksReport = function() {
+    const report = buildDeadLinksReport();
+    const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `dead-links-${report.generatedAt.slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+window.clearDeadLinksReport = function() {
+    playbackFailures = {};
+    savePlaybackFailures();
+    displayProfileSettings();
+}
+
+// Only shown once something failed
+function renderDeadLinksSettings(t) {
+    const count = Object.keys(playbackFailures).length;
+    if (count === 0) return '';
+
+    return `
+        <div class="p-4 bg-gray-800 rounded-lg shadow-lg">
+            <h3 class="text-xl font-semibold mb-1">${t.deadLinksTitle || 'Broken Links'}</h3>
+            <p class="text-sm text-gray-400 mb-3">${translate('deadLinksCount', { count }, '{count} video source(s) failed to play on this device.')}</p>
+            <div class="flex space-x-2">
+                <button onclick="exportDeadLinksReport()" class="flex-grow bg-primary text-black font-semibold py-2 rounded hover:bg-opacity-90 transition duration-200">${t.exportReport || 'Export Report'}</button>
+                <button onclick="clearDeadLinksReport()" class="px-4 text-sm text-red-500 hover:text-red-400 font-semibold">${t.clearHistory || 'Clear All'}</button>
+            </div>
+        </div>
+    `;
+}
+
+
+// -------------------------------------------------------------------------
+// 14. OFFLINE (Service worker registration + offline banner, see sw.js)
+// -------------------------------------------------------------------------
+
+// Set when sw.js served the cached catalog because the network request failed
+let isShowingCachedCatalog = false;
+
+function updateOfflineBanner() {
+    const banner = document.getElementById('offline-banner');
+    if (!banner) return;
+    banner.classList.toggle('hidden', navigator.onLine && !isShowingCachedCatalog);
+}
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.error('Service worker registration failed:', error);
+    });
+}
+
+function handleServiceWorkerMessage(event) {
+    const message = event.data || {};
+    if (message.type === 'catalog-offline') {
+        isShowingCachedCatalog = true;
+        updateOfflineBanner();
+    } else if (message.type === 'catalog-updated') {
+        console.log('A newer catalog was downloaded; it is used on the next visit.');
+    }
+}
+
+// Listen right away: the catalog fetch (and sw.js's reply about it) happens before initializeApp finishes
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', handleServiceWorkerMessage);
+}
+window.addEventListener('online', () => {
+    isShowingCachedCatalog = false;
+    updateOfflineBanner();
+});
+window.addEventListener('offline', updateOfflineBanner);
+
+
+// -------------------------------------------------------------------------
+// 15. PARENTAL CONTROLS (PIN lock for the 18+ webview and content settings)
+// -------------------------------------------------------------------------
+
+// Kept under its own key: "Reset App Data" only removes it after the PIN is entered
+const PIN_PATTERN = /^\d{4,8}$/;
+const PIN_HASH_ITERATIONS = 100000;
+const PIN_FREE_ATTEMPTS = 5;
+const PIN_LOCKOUT_BASE_MS = 30 * 1000; // Doubles with every further wrong PIN
+const PIN_LOCKOUT_MAX_MS = 60 * 60 * 1000;
+
+let pinDialog = null; // { mode: 'verify' | 'create', resolve }
+
+function isParentalLockOn() {
+    return Boolean(parentalLock.hash && parentalLock.salt);
+}
+
+function isAdultButtonHidden() {
+    return isParentalLockOn() && parentalLock.hideAdult === true;
+}
+
+function saveParentalLock() {
+    try {
+        localStorage.setItem('parentalLock', JSON.stringify(parentalLock));
+    } catch (e) { /* Error */ }
+}
+
+function bytesToHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function hexToBytes(hex) {
+    return new Uint8Array((hex.match(/../g) || []).map(pair => parseInt(pair, 16)));
+}
+
+// PBKDF2-SHA-256; the PIN itself is never stored
+async function hashPin(pin, salt, iterations) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt: hexToBytes(salt), iterations }, key, 256);
+    return bytesToHex(new Uint8Array(bits));
+}
+
+async function setParentalPin(pin) {
+    const salt = bytesToHex(crypto.getRandomValues(new Uint8Array(16)));
+    parentalLock = {
+        hideAdult: Boolean(parentalLock.hideAdult),
+        salt,
+        iterations: PIN_HASH_ITERATIONS,
+        hash: await hashPin(pin, salt, PIN_HASH_ITERATIONS),
+        failedAttempts: 0,
+        lockedUntil: 0,
+    };
+    saveParentalLock();
+}
+
+function getPinLockoutSeconds() {
+    return Math.max(0, Math.ceil(((parentalLock.lockedUntil || 0) - Date.now()) / 1000));
+}
+
+// Wrong PINs are counted in localStorage, so reloading the page doesn't reset the wait
+async function checkParentalPin(pin) {
+    if (getPinLockoutSeconds() > 0) return false;
+
+    const hash = await hashPin(pin, parentalLock.salt, parentalLock.iterations || PIN_HASH_ITERATIONS);
+    if (hash === parentalLock.hash) {
+        parentalLock.failedAttempts = 0;
+        parentalLock.lockedUntil = 0;
+        saveParentalLock();
+        return true;
+    }
+
+    parentalLock.failedAttempts = (parentalLock.failedAttempts || 0) + 1;
+    const extraAttempts = parentalLock.failedAttempts - PIN_FREE_ATTEMPTS;
+    if (extraAttempts >= 0) {
+        parentalLock.lockedUntil = Date.now() + Math.min(PIN_LOCKOUT_MAX_MS, PIN_LOCKOUT_BASE_MS * 2 ** extraAttempts);
+    }
+    saveParentalLock();
+    return false;
+}
+
+function showPinError(message) {
+    document.getElementById('pin-error').textContent = message;
+}
+
+function openPinDialog(mode, title, message, secondaryLabel) {
+    if (pinDialog) pinDialog.resolve(null); // Only one dialog at a time
+
+    const pinInput = document.getElementById('pin-input');
+    const confirmInput = document.getElementById('pin-confirm-input');
+    const secondaryBtn = document.getElementById('pin-secondary-btn');
+    const t = getTranslations();
+
+    document.getElementById('pin-title').textContent = title;
+    document.getElementById('pin-message').textContent = message;
+    pinInput.value = '';
+    confirmInput.value = '';
+    pinInput.placeholder = mode === 'create' ? (t.pinNewPlaceholder || 'New PIN (4-8 digits)') : '••••';
+    confirmInput.placeholder = t.pinConfirmPlaceholder || 'Repeat PIN';
+    confirmInput.classList.toggle('hidden', mode !== 'create');
+    secondaryBtn.classList.toggle('hidden', !secondaryLabel);
+    secondaryBtn.textContent = secondaryLabel || '';
+    showPinError(getPinLockoutSeconds() ? translate('pinLocked', { seconds: getPinLockoutSeconds() }, 'Too many wrong PINs. Try again in {seconds}s.') : '');
+
+    const modal = document.getElementById('pin-modal');
+    modal.classList.remove('hidden');
+    openModal(modal, () => closePinDialog(null), pinInput);
+    return new Promise(resolve => {
+        pinDialog = { mode, resolve };
+    });
+}
+
+window.closePinDialog = function(result) {
+    const modal = document.getElementById('pin-modal');
+    modal.classList.add('hidden');
+    closeModal(modal);
+    const dialog = pinDialog;
+    pinDialog = null;
+    if (dialog) dialog.resolve(result);
+}
+
+window.submitPinDialog = async function(event) {
+    event.preventDefault();
+    if (!pinDialog) return;
+    const t = getTranslations();
+    const pin = document.getElementById('pin-input').value;
+
+    if (pinDialog.mode === 'create') {
+        if (!PIN_PATTERN.test(pin)) return showPinError(t.pinInvalid || 'The PIN must be 4 to 8 digits.');
+        if (pin !== document.getElementById('pin-confirm-input').value) return showPinError(t.pinMismatch || "The PINs don't match.");
+        return closePinDialog(pin);
+    }
+
+    const lockoutSeconds = getPinLockoutSeconds();
+    if (lockoutSeconds) return showPinError(translate('pinLocked', { seconds: lockoutSeconds }, 'Too many wrong PINs. Try again in {seconds}s.'));
+    if (await checkParentalPin(pin)) return closePinDialog('unlocked');
+
+    document.getElementById('pin-input').value = '';
+    const waitSeconds = getPinLockoutSeconds();
+    showPinError(waitSeconds
+        ? translate('pinLocked', { seconds: waitSeconds }, 'Too many wrong PINs. Try again in {seconds}s.')
+        : (t.pinWrong || 'Wrong PIN.'));
+}
+
+/**
+ * Asks for the PIN when the lock is on. Resolves 'unlocked' (right PIN, or no lock),
+ * 'secondary' (the optional second button) or null (cancelled).
+ */
+function requestPinUnlock(message, secondaryLabel) {
+    if (!isParentalLockOn()) return Promise.resolve('unlocked');
+    const t = getTranslations();
+    return openPinDialog('verify', t.parentalTitle || 'Parental Controls', message, secondaryLabel);
+}
+
+function renderParentalControlsSettings(t) {
+    if (!isParentalLockOn()) {
+        return `
+            <div class="p-4 bg-gray-800 rounded-lg shadow-lg">
+                <h3 class="text-xl font-semibold mb-1">${t.parentalTitle || 'Parental Controls'}</h3>
+                <p class="text-sm text-gray-400 mb-3">${t.parentalIntro || 'Set a PIN to lock the 18+ section and these settings.'}</p>
+                <button onclick="setupParentalPin()" class="w-full bg-primary text-black font-semibold py-2 rounded hover:bg-opacity-90 transition duration-200">${t.setPin || 'Set PIN'}</button>
+            </div>
+        `;
+    }
+
+    return `
+        <div class="p-4 bg-gray-800 rounded-lg shadow-lg">
+            <h3 class="text-xl font-semibold mb-1">🔒 ${t.parentalTitle || 'Parental Controls'}</h3>
+            <p class="text-sm text-gray-400 mb-3">${t.parentalOn || 'The 18+ section needs the PIN.'}</p>
+            <label class="flex justify-between items-center mb-4 cursor-pointer">
+                <span>${t.hideAdultLabel || 'Hide the 18+ button'}</span>
+                <input type="checkbox" onchange="toggleHideAdult(this)" ${parentalLock.hideAdult ? 'checked' : ''} class="w-5 h-5 accent-yellow-400">
+            </label>
+            <div class="flex space-x-2">
+                <button onclick="changeParentalPin()" class="flex-grow bg-gray-700 hover:bg-gray-600 text-white py-2 rounded transition duration-200">${t.changePin || 'Change PIN'}</button>
+                <button onclick="removeParentalPin()" class="px-4 text-sm text-red-500 hover:text-red-400 font-semibold">${t.removePin || 'Remove PIN'}</button>
+            </div>
+        </div>
+    `;
+}
+
+function ensureWebCrypto() {
+    if (window.crypto && window.crypto.subtle) return true;
+    const t = getTranslations();
+    showCustomAlert(t.Error || 'Error', t.pinUnsupported || 'PIN lock needs a secure (https) connection.');
+    return false;
+}
+
+window.setupParentalPin = async function() {
+    if (!ensureWebCrypto()) return;
+    const t = getTranslations();
+    const pin = await openPinDialog('create', t.setPin || 'Set PIN', t.parentalIntro || 'Set a PIN to lock the 18+ section and these settings.');
+    if (!pin) return;
+    await setParentalPin(pin);
+    displayProfileSettings();
+}
+
+window.changeParentalPin = async function() {
+    if (!ensureWebCrypto()) return;
+    const t = getTranslations();
+    if (await requestPinUnlock(t.pinCurrent || 'Enter the current PIN.') !== 'unlocked') return;
+    const pin = await openPinDialog('create', t.changePin || 'Change PIN', t.pinNewPlaceholder || 'New PIN (4-8 digits)');
+    if (!pin) return;
+    await setParentalPin(pin);
+    displayProfileSettings();
+}
+
+window.removeParentalPin = async function() {
+    const t = getTranslations();
+    if (await requestPinUnlock(t.pinCurrent || 'Enter the current PIN.') !== 'unlocked') return;
+    parentalLock = {};
+    saveParentalLock();
+    displayProfileSettings();
+}
+
+window.toggleHideAdult = async function(checkbox) {
+    const hide = checkbox.checked;
+    checkbox.checked = !hide; // Only changes once the PIN is right
+    const t = getTranslations();
+    if (await requestPinUnlock(t.pinCurrent || 'Enter the current PIN.') !== 'unlocked') return;
+    parentalLock.hideAdult = hide;
+    saveParentalLock();
+    displayProfileSettings();
+}
+
+// Without the PIN everything except the lock is cleared
+window.resetAppData = async function() {
+    const t = getTranslations();
+    const result = await requestPinUnlock(t.pinForReset || 'Enter the PIN to also remove parental controls.', t.resetKeepLock || 'Reset, keep parental controls');
+    if (result === null) return;
+
+    const keptLock = result === 'unlocked' ? null : localStorage.getItem('parentalLock');
+    localStorage.clear();
+    if (keptLock) localStorage.setItem('parentalLock', keptLock);
+    window.location.reload();
+}
+
+
+// -------------------------------------------------------------------------
+// 16. FAVORITE COLLECTIONS (Named lists, sorting, JSON import/export)
+// -------------------------------------------------------------------------
+
+// Lists hold the same IDs as `favorites` (series, never episodes), newest at the end
+const FAVORITES_EXPORT_TYPE = 'wy-moviebox-favorites';
+const MAX_COLLECTION_NAME_LENGTH = 40;
+
+let activeCollectionId = null; // null = the ❤️ favorites
+let collectionNameForm = null; // null, 'favorites' or 'details': where the "new list" input is open
+
+function findCollection(id) {
+    return id ? collections.find(list => list.id === id) || null : null;
+}
+
+function findCollectionByName(name) {
+    const key = name.trim().toLowerCase();
+    return collections.find(list => list.name.trim().toLowerCase() === key) || null;
+}
+
+function createCollection(name) {
+    const trimmed = name.trim().slice(0, MAX_COLLECTION_NAME_LENGTH);
+    if (!trimmed) return null;
+    const existing = findCollectionByName(trimmed);
+    if (existing) return existing;
+
+    const list = { id: 'list-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6), name: trimmed, items: [] };
+    collections.push(list);
+    saveCollections();
+    return list;
+}
+
+function sortFavoriteMovies(ids, sort) {
+    const movies = ids.map(id => findMovieById(id)).filter(movie => movie !== null);
+    const byTitle = (a, b) => a.title.localeCompare(b.title);
+
+    if (sort === 'title') return movies.sort(byTitle);
+    if (sort === 'category') {
+        const order = getMenuCategories().map(meta => meta.id);
+        const rank = movie => {
+            const index = order.indexOf(findMovieCategory(movie.id));
+            return index === -1 ? order.length : index;
+        };
+        return movies.sort((a, b) => rank(a) - rank(b) || byTitle(a, b));
+    }
+    return movies.reverse(); // Date added, newest first
+}
+
+function renderCollectionNameForm(t, context) {
+    return `
+        <form onsubmit="submitCollectionName(event, '${context}')" class="flex items-center gap-1">
+            <input id="collection-name-input" type="text" maxlength="${MAX_COLLECTION_NAME_LENGTH}" placeholder="${t.collectionNamePlaceholder || 'List name'}" class="w-32 bg-gray-700 text-white text-sm px-2 py-1 rounded-full focus:outline-none">
+            <button type="submit" class="text-sm text-primary font-semibold px-2">${t.create || 'Create'}</button>
+        </form>
+    `;
+}
+
+function renderFavoritesToolbar(t, collection) {
+    const chipClass = active => `text-sm px-3 py-1 rounded-full transition duration-200 ${active ? 'active-category-blue' : 'bg-gray-800 text-white hover:bg-gray-700'}`;
+    const sort = currentSettings.favoritesSort;
+
+    return `
+        <div class="col-span-full flex flex-wrap gap-2 items-center mb-3">
+            <button onclick="selectCollection(null)" class="${chipClass(!collection)}">❤️ ${t.allFavorites || 'Favorites'} (${favorites.length})</button>
+            ${collections.map(list => `
+                <button onclick="selectCollection('${list.id}')" class="${chipClass(collection === list)}">${escapeHtml(list.name)} (${list.items.length})</button>
+            `).join('')}
+            ${collectionNameForm === 'favorites'
+                ? renderCollectionNameForm(t, 'favorites')
+                : `<button onclick="openCollectionNameForm('favorites')" class="text-sm px-3 py-1 rounded-full border border-dashed border-gray-600 text-gray-400 hover:text-white">+ ${t.newCollection || 'New list'}</button>`}
+        </div>
+        <div class="col-span-full flex flex-wrap gap-2 justify-between items-center mb-4 text-sm">
+            <select onchange="setFavoritesSort(this.value)" class="bg-gray-700 text-white p-1 rounded">
+                <option value="added" ${sort === 'added' ? 'selected' : ''}>${t.sortAdded || 'Recently added'}</option>
+                <option value="title" ${sort === 'title' ? 'selected' : ''}>${t.sortTitle || 'Title (A-Z)'}</option>
+                <option value="category" ${sort === 'category' ? 'selected' : ''}>${t.sortCategory || 'Category'}</option>
+            </select>
+            <div class="flex gap-3 items-center">
+                ${collection ? `<button onclick="deleteCollection('${collection.id}')" class="text-red-500 hover:text-red-400 font-semibold">${t.deleteCollection || 'Delete list'}</button>` : ''}
+                <button onclick="exportFavorites()" class="text-gray-400 hover:text-white">${t.exportFavorites || 'Export'}</button>
+                <button onclick="document.getElementById('favorites-import-input').click()" class="text-gray-400 hover:text-white">${t.importFavorites || 'Import'}</button>
+                <input id="favorites-import-input" type="file" accept="application/json,.json" class="hidden" onchange="importFavoritesFile(this.files[0])">
+            </div>
+        </div>
+    `;
+}
+
+// Detail sheet: one chip per list, filled when the movie is in it
+function renderCollectionChips(movie, t) {
+    const favoriteId = getFavoriteId(movie.id);
+    return `
+        <div class="pt-1">
+            <p class="text-sm text-gray-400 mb-2">${t.addToCollection || 'Add to list'}</p>
+            <div class="flex flex-wrap gap-2 items-center">
+                ${collections.map(list => {
+                    const included = list.items.includes(favoriteId);
+                    return `<button onclick="toggleCollectionItem('${list.id}')" class="text-sm px-3 py-1 rounded-full transition duration-200 ${included ? 'active-category-blue' : 'bg-gray-800 text-white hover:bg-gray-700'}">${included ? '✓ ' : ''}${escapeHtml(list.name)}</button>`;
+                }).join('')}
+                ${collectionNameForm === 'details'
+                    ? renderCollectionNameForm(t, 'details')
+                    : `<button onclick="openCollectionNameForm('details')" class="text-sm px-3 py-1 rounded-full border border-dashed border-gray-600 text-gray-400 hover:text-white">+ ${t.newCollection || 'New list'}</button>`}
+            </div>
+        </div>
+    `;
+}
+
+function refreshCollectionViews() {
+    if (detailMovieId && !document.getElementById('movie-detail-modal').classList.contains('hidden')) {
+        openMovieDetails(detailMovieId);
+    }
+    if (document.querySelector('.nav-btn.text-primary')?.dataset.nav === 'favorites') {
+        displayFavorites();
+    }
+}
+
+window.selectCollection = function(collectionId) {
+    activeCollectionId = findCollection(collectionId) ? collectionId : null;
+    collectionNameForm = null;
+    displayFavorites();
+    updateRoute(activeCollectionId ? 'favorites/' + activeCollectionId : 'favorites');
+}
+
+window.openCollectionNameForm = function(context) {
+    collectionNameForm = context;
+    refreshCollectionViews();
+    const input = document.getElementById('collection-name-input');
+    if (input) input.focus();
+}
+
+// A list created from the detail sheet starts with that movie
+window.submitCollectionName = function(event, context) {
+    event.preventDefault();
+    const list = createCollection(document.getElementById('collection-name-input').value);
+    collectionNameForm = null;
+    if (list && context === 'details' && detailMovieId) {
+        const favoriteId = getFavoriteId(detailMovieId);
+        if (!list.items.includes(favoriteId)) list.items.push(favoriteId);
+        saveCollections();
+    }
+    refreshCollectionViews();
+}
+
+window.toggleCollectionItem = function(collectionId, movieId = detailMovieId) {
+    const list = findCollection(collectionId);
+    if (!list || !movieId) return;
+
+    const favoriteId = getFavoriteId(movieId);
+    const index = list.items.indexOf(favoriteId);
+    if (index > -1) {
+        list.items.splice(index, 1);
+    } else {
+        list.items.push(favoriteId);
+    }
+    saveCollections();
+    refreshCollectionViews();
+}
+
+window.deleteCollection = function(collectionId) {
+    collections = collections.filter(list => list.id !== collectionId);
+    saveCollections();
+    if (activeCollectionId === collectionId) selectCollection(null);
+}
+
+window.setFavoritesSort = function(sort) {
+    currentSettings.favoritesSort = sort;
+    try {
+        localStorage.setItem('userSettings', JSON.stringify(currentSettings));
+    } catch (e) { /* Error */ }
+    displayFavorites();
+}
+
+// Titles travel with the IDs so the report on the other phone can name what's gone
+function buildFavoritesExport() {
+    const describe = id => {
+        const movie = findMovieById(id);
+        return { id, title: movie ? movie.title : undefined };
+    };
+    return {
+        type: FAVORITES_EXPORT_TYPE,
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        favorites: favorites.map(describe),
+        collections: collections.map(list => ({ name: list.name, items: list.items.map(describe) })),
+    };
+}
+
+window.exportFavorites = async function() {
+    await loadAllCategories(); // For the titles
+    const data = buildFavoritesExport();
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `moviebox-favorites-${data.exportedAt.slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/**
+ * Merges an export into the current favorites and lists (lists with the same name are combined).
+ * Returns { added, missing } where `missing` names the entries the catalog no longer has.
+ */
+async function mergeFavoritesImport(data) {
+    if (!data || data.type !== FAVORITES_EXPORT_TYPE || !Array.isArray(data.favorites)) {
+        throw new Error('Not a favorites export');
+    }
+    await loadAllCategories();
+    const items = list => (Array.isArray(list) ? list : []).filter(item => item && typeof item.id === 'string');
+    const allItems = [...items(data.favorites), ...(Array.isArray(data.collections) ? data.collections : []).flatMap(list => items(list && list.items))];
+    if (allItems.some(item => isLegacyMovieId(item.id)) && !legacyIdMap) await loadLegacyIdMap();
+
+    const missing = new Set();
+    let added = 0;
+    const resolve = item => {
+        const id = isLegacyMovieId(item.id) && legacyIdMap ? legacyIdMap[item.id] || item.id : item.id;
+        if (!findMovieById(id)) {
+            missing.add(item.title || item.id);
+            return null;
+        }
+        return getFavoriteId(id);
+    };
+    const mergeInto = (target, importedItems) => {
+        importedItems.map(resolve).forEach(id => {
+            if (id && !target.includes(id)) {
+                target.push(id);
+                added++;
+            }
+        });
+    };
+
+    mergeInto(favorites, items(data.favorites));
+    (Array.isArray(data.collections) ? data.collections : []).forEach(imported => {
+        if (!imported || typeof imported.name !== 'string') return;
+        const list = createCollection(imported.name);
+        if (list) mergeInto(list.items, items(imported.items));
+    });
+    saveFavorites();
+    saveCollections();
+    return { added, missing: [...missing] };
+}
+
+window.importFavoritesFile = async function(file) {
+    if (!file) return;
+    const t = getTranslations();
+    try {
+        const { added, missing } = await mergeFavoritesImport(JSON.parse(await file.text()));
+        let message = translate('importDone', { count: added }, 'Imported {count} new item(s).');
+        if (missing.length) {
+            const names = missing.slice(0, 5).join(', ') + (missing.length > 5 ? ', …' : '');
+            message += ' ' + translate('importMissing', { count: missing.length, titles: names }, '{count} no longer exist: {titles}');
+        }
+        showCustomAlert(t.importFavorites || 'Import', message);
+    } catch (e) {
+        console.error('Favorites import failed:', e);
+        showCustomAlert(t.Error || 'Error', t.importFailed || "This file isn't a favorites export.");
+    }
+    displayFavorites();
+}
+
+// -------------------------------------------------------------------------
+// 17. I18N (Languages, fallback chains, extra translation files, see i18n.js)
+// -------------------------------------------------------------------------
+
+// Used when i18n/languages.json can't be loaded. Myanmar and English messages come from the catalog
+const DEFAULT_LANGUAGE_CONFIG = {
+    defaultChain: ['myanmar'],
+    languages: {
+        myanmar: { code: 'my', name: 'မြန်မာ', fallback: ['english'] },
+        english: { code: 'en', name: 'English', fallback: [] },
+    },
+};
+
+let languageConfig = DEFAULT_LANGUAGE_CONFIG;
+let i18n = null; // Translator for currentSettings.language
+const reportedLanguages = new Set();
+
+async function loadLanguageConfig() {
+    try {
+        const response = await fetch('i18n/languages.json');
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        const config = await response.json();
+        if (!config || typeof config.languages !== 'object') throw new Error('missing "languages"');
+        languageConfig = { defaultChain: DEFAULT_LANGUAGE_CONFIG.defaultChain, ...config };
+    } catch (e) {
+        console.warn('Language list unavailable, only the catalog languages are offered.', e);
+        languageConfig = DEFAULT_LANGUAGE_CONFIG;
+    }
+}
+
+// Languages with a "file" (e.g. thai.json) are fetched the first time they, or a language falling back to them, is used
+async function loadLanguageMessages(language) {
+    const chain = I18n.resolveChain(language, languageConfig.languages, languageConfig.defaultChain);
+    for (const id of chain) {
+        const file = languageConfig.languages[id].file;
+        if (!file || translations[id]) continue;
+        try {
+            const response = await fetch('i18n/' + file);
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            translations = { ...translations, [id]: await response.json() };
+        } catch (e) {
+            console.error(`Failed to load translations for "${id}" (i18n/${file}).`, e);
+        }
+    }
+}
+
+function getTranslator() {
+    if (!i18n || i18n.requested !== currentSettings.language || i18n.source !== translations) {
+        const hasMessages = Object.keys(translations).length > 0; // Nothing to report before the catalog loaded
+        i18n = I18n.createTranslator({
+            languages: languageConfig.languages,
+            messages: translations,
+            language: currentSettings.language,
+            defaultChain: languageConfig.defaultChain,
+            onMissing: (key, chain) => {
+                if (hasMessages) console.warn(`[i18n] Missing translation "${key}" (looked in ${chain.join(' → ')})`);
+            },
+        });
+        i18n.requested = currentSettings.language;
+        i18n.source = translations;
+    }
+    return i18n;
+}
+
+// `t` in the render functions: t.key resolves through the fallback chain
+function getTranslations() {
+    return getTranslator().messages;
+}
+
+// For messages with {placeholders} or plural forms
+function translate(key, params, fallback) {
+    return getTranslator().t(key, params, fallback);
+}
+
+// Once per language: keys it lacks (shown from a fallback language instead)
+function reportMissingTranslations(translator) {
+    if (reportedLanguages.has(translator.language) || !translations[translator.language]) return;
+    reportedLanguages.add(translator.language);
+    const missing = translator.missingKeys();
+    if (missing.length) {
+        console.warn(`[i18n] "${translator.language}" is missing ${missing.length} key(s), shown from ${translator.chain.slice(1).join(' → ') || 'the English defaults'}: ${missing.join(', ')}`);
+    }
+}
+
+function renderLanguageOptions() {
+    return Object.keys(languageConfig.languages).map(id => `
+        <option value="${id}" ${currentSettings.language === id ? 'selected' : ''}>${escapeHtml(languageConfig.languages[id].name || id)}</option>
+    `).join('');
+}
+
+
+
+// -------------------------------------------------------------------------
+// 18. LAZY GRID (Cards added in batches while scrolling, thumbnails loaded near the viewport)
+// -------------------------------------------------------------------------
+
+const GRID_BATCH_SIZE = 24;
+const GRID_PRELOAD_MARGIN = '400px'; // The next batch and thumbnails load this far before they scroll into view
+const BLANK_IMAGE = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+const PLACEHOLDER_THUMB = 'https://placehold.co/100x100/1a1a1a/cccccc?text=WY';
+
+const gridObservers = new WeakMap(); // Container => IntersectionObserver of its latest render
+
+// YouTube thumbnails have a 120x90 version; it is shown blurred while the full one downloads
+function getLowResThumb(src) {
+    const match = String(src).match(/^https:\/\/(?:i\.ytimg\.com|img\.youtube\.com)\/vi\/([\w-]{11})\//);
+    return match ? `https://i.ytimg.com/vi/${match[1]}/default.jpg` : null;
+}
+
+function showThumbnail(img) {
+    const src = img.dataset.src;
+    img.removeAttribute('data-src');
+    const lowRes = getLowResThumb(src);
+    if (!lowRes) {
+        img.src = src;
+        return;
+    }
+
+    img.src = lowRes;
+    img.classList.add('blur-sm');
+    const full = new Image();
+    full.onload = () => {
+        img.src = src;
+        img.classList.remove('blur-sm');
+    };
+    full.onerror = () => img.classList.remove('blur-sm'); // Keep the small one
+    full.src = src;
+}
+
+/**
+ * Replaces the cards of an earlier render of `container` with cards for `items`.
+ * Only GRID_BATCH_SIZE cards are created at first; the next batch follows when the end of the list
+ * nears the viewport. createCard(item) defaults to createMovieCard(item).
+ */
+function renderMovieGrid(container, items, createCard = createMovieCard) {
+    const previous = gridObservers.get(container);
+    if (previous) previous.disconnect();
+
+    if (!('IntersectionObserver' in window)) {
+        items.forEach(item => container.appendChild(createCard(item)));
+        container.querySelectorAll('img[data-src]').forEach(img => {
+            img.loading = 'lazy';
+            showThumbnail(img);
+        });
+        return;
+    }
+
+    let rendered = 0;
+    const sentinel = document.createElement('div');
+    sentinel.className = 'col-span-full w-full h-px';
+
+    const observer = new IntersectionObserver(entries => {
+        entries.filter(entry => entry.isIntersecting).forEach(entry => {
+            if (entry.target === sentinel) {
+                appendBatch();
+            } else {
+                observer.unobserve(entry.target);
+                showThumbnail(entry.target);
+            }
+        });
+    }, { rootMargin: GRID_PRELOAD_MARGIN });
+
+    function appendBatch() {
+        observer.unobserve(sentinel);
+        items.slice(rendered, rendered + GRID_BATCH_SIZE).forEach(item => {
+            const card = createCard(item);
+            container.appendChild(card);
+            card.querySelectorAll('img[data-src]').forEach(img => observer.observe(img));
+        });
+        rendered = Math.min(rendered + GRID_BATCH_SIZE, items.length);
+
+        if (rendered < items.length) {
+            container.appendChild(sentinel);
+            observer.observe(sentinel); // Observing again reports the sentinel even if it never left the viewport
+        } else {
+            sentinel.remove();
+        }
+    }
+
+    gridObservers.set(container, observer);
+    appendBatch();
+}
+
+
+
+// -------------------------------------------------------------------------
+// 19. CATALOG SOURCES (Bundled + remote catalogs, merge order, "N new" badges)
+// -------------------------------------------------------------------------
+
+const BUNDLED_CATALOG = { id: 'bundled', url: 'videos_photos.json' };
+const CATALOG_SOURCE_TIMEOUT_MS = 8000; // A slow remote catalog must not hold up the app
+const CATEGORY_ID_PATTERN = /^[\w-]+$/; // Category ids end up in attributes and onclick handlers
+
+const DEV_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// "sources" of the bundled catalog. While developing (the app served from this machine),
+// localStorage.catalogSources (the same list) replaces them to try a catalog from a local server:
+// [{ "id": "test", "url": "http://localhost:8080/catalog.json" }]. The deployed app never reads it.
+function getRemoteSources(bundledData) {
+    let sources = bundledData.sources;
+    if (DEV_HOSTS.includes(window.location.hostname)) {
+        try {
+            const override = JSON.parse(localStorage.getItem('catalogSources'));
+            if (Array.isArray(override)) sources = override;
+        } catch (e) { /* Error */ }
+    }
+
+    return (Array.isArray(sources) ? sources : []).filter(source => source
+        && typeof source.id === 'string' && /^[\w-]+$/.test(source.id) && source.id !== BUNDLED_CATALOG.id
+        && typeof source.url === 'string' && /^https?:\/\//.test(source.url));
+}
+
+async function fetchWithTimeout(url, timeoutMs) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        return await fetch(url, { signal: controller.signal });
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Returns { source, data, report, version }. `version` is the catalog's "version", else its ETag
+ * (or Last-Modified) header; null when the server sends neither.
+ */
+async function fetchCatalogSource(source) {
+    const isBundled = source === BUNDLED_CATALOG;
+    const response = isBundled ? await fetch(source.url) : await fetchWithTimeout(source.url, CATALOG_SOURCE_TIMEOUT_MS);
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const data = await response.json();
+    const usedTranslationKeys = isBundled ? Array.from(document.querySelectorAll('[data-i18n]'), el => el.dataset.i18n) : [];
+    const report = CatalogValidator.validateCatalog(data, { usedTranslationKeys, remoteSource: !isBundled });
+    const prefix = isBundled ? '' : `${source.id}: `;
+    report.errors.forEach(problem => console.warn(`Catalog problem at ${prefix}${problem.path}: ${problem.message}`));
+
+    const version = data && (typeof data.version === 'string' || typeof data.version === 'number')
+        ? String(data.version)
+        : response.headers.get('ETag') || response.headers.get('Last-Modified');
+    return { source, data, report, version };
+}
+
+function addCategoryPart(category, part) {
+    if (!categoryParts[category]) categoryParts[category] = [];
+    categoryParts[category].push(part);
+}
+
+/**
+ * Later sources win: their icons and movies (by ID) replace the earlier ones. Translations come
+ * from the bundled catalog only; a remote category it doesn't name is shown by its id.
+ * Categories without files are merged right away; the others when they are opened (loadCategory).
+ */
+function mergeCatalogSources(loaded) {
+    videos = {};
+    categoryMeta = [];
+    categoryParts = {};
+    categoryLoads = {};
+    translations = {};
+    catalogSources = loaded.map(({ source, version }) => ({ ...source, version }));
+
+    loaded.forEach(({ source, data, report }) => {
+        const baseUrl = new URL(source.url, document.baseURI);
+        // UI text only comes from the bundled catalog: a third-party source can't change what the app says
+        const sourceTranslations = source === BUNDLED_CATALOG && data.translations && typeof data.translations === 'object' ? data.translations : {};
+        Object.keys(sourceTranslations).forEach(lang => {
+            if (sourceTranslations[lang] && typeof sourceTranslations[lang] === 'object') {
+                translations[lang] = { ...translations[lang], ...sourceTranslations[lang] };
+            }
+        });
+
+        (Array.isArray(data.categories) ? data.categories : []).forEach(meta => {
+            if (!meta || typeof meta.id !== 'string' || !CATEGORY_ID_PATTERN.test(meta.id)) return;
+            let merged = categoryMeta.find(existing => existing.id === meta.id);
+            if (!merged) {
+                merged = { id: meta.id };
+                categoryMeta.push(merged);
+            }
+            if (typeof meta.icon === 'string') merged.icon = meta.icon;
+            if (typeof meta.file === 'string' && !report.videos[meta.id]) {
+                addCategoryPart(meta.id, { file: new URL(meta.file, baseUrl).href });
+            }
+        });
+        Object.keys(report.videos).forEach(category => addCategoryPart(category, { videos: report.videos[category] }));
+    });
+
+    Object.keys(categoryParts).filter(category => !hasCategoryFiles(category)).forEach(category => {
+        videos[category] = mergeMovieLists(categoryParts[category].map(part => part.videos));
+    });
+}
+
+// A movie another list already has is replaced in place; new ones go on top, so additions are seen first
+function mergeMovieLists(lists) {
+    if (lists.length === 1) return lists[0];
+
+    let merged = [];
+    lists.forEach(list => {
+        const positions = new Map(merged.map((movie, index) => [getEntryId(movie), index]));
+        const added = [];
+        list.forEach(movie => {
+            const index = positions.get(getEntryId(movie));
+            if (index === undefined) added.push(movie);
+            else merged[index] = movie;
+        });
+        merged = [...added, ...merged];
+    });
+    return merged;
+}
+
+// Changes whenever any source changes; null when a source has no version (then categories are only compared once loaded for another reason)
+function getCatalogSignature() {
+    if (catalogSources.some(source => !source.version)) return null;
+    return catalogSources.map(source => `${source.id}@${source.version}`).join('|');
+}
+
+function saveCategoryVisits() {
+    try {
+        localStorage.setItem('categoryVisits', JSON.stringify(categoryVisits));
+    } catch (e) { /* Error */ }
+}
+
+// IDs that were not in the category when it was last opened (none before the first visit)
+function getNewMovieIds(category) {
+    const visit = categoryVisits[category];
+    if (!visit || !videos[category]) return new Set();
+    const seen = new Set(visit.ids);
+    return new Set(videos[category].map(movie => movie.id).filter(id => !seen.has(id)));
+}
+
+function markCategorySeen(category) {
+    if (!videos[category]) return;
+    categoryVisits[category] = { signature: getCatalogSignature(), ids: videos[category].map(movie => movie.id) };
+    saveCategoryVisits();
+    updateNewMovieBadges();
+}
+
+/**
+ * Loads the opened categories whose catalog changed since they were last opened and shows their
+ * new movie counts. A category is first remembered when it is opened (markCategorySeen), so
+ * nothing is loaded for categories never opened, for unchanged catalogs or without a signature.
+ */
+async function checkForNewMovies() {
+    const signature = getCatalogSignature();
+    if (signature === null) return;
+    const stale = getMenuCategories()
+        .map(meta => meta.id)
+        .filter(category => categoryVisits[category] && categoryVisits[category].signature !== signature);
+    if (stale.length === 0) return;
+
+    await Promise.all(stale.map(loadCategory));
+    stale.filter(category => videos[category] && getNewMovieIds(category).size === 0).forEach(category => {
+        categoryVisits[category].signature = signature; // Nothing new: no need to look again until the next update
+    });
+    saveCategoryVisits();
+    updateNewMovieBadges();
+}
+
+function updateNewMovieBadges() {
+    document.querySelectorAll('.menu-btn').forEach(btn => {
+        const count = getNewMovieIds(btn.dataset.category).size;
+        let badge = btn.querySelector('.new-movies-badge');
+        if (!count) {
+            if (badge) badge.remove();
+            return;
+        }
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'new-movies-badge ml-1 bg-red-600 text-white text-[0.6rem] font-bold px-1 rounded-full align-middle';
+            btn.appendChild(badge);
+        }
+        badge.textContent = translate('newMoviesBadge', { count }, '{count} new');
+        badge.title = translate('newMoviesTitle', { count }, '{count} new movies since your last visit');
+    });
+}
+
+
+
+// -------------------------------------------------------------------------
+// 20. TRENDING (Curated picks + rankings from local plays: today, this week, all time)
+// -------------------------------------------------------------------------
+
+const TRENDING_WINDOWS = ['today', 'week', 'all'];
+const DEFAULT_TRENDING_WINDOW = 'week';
+const TRENDING_LIMIT = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PLAY_LOG_DAYS = 7; // Longest window that needs single plays; 'all' uses playCount
+
+let activeTrendingWindow = DEFAULT_TRENDING_WINDOW;
+
+function getTrendingRoute() {
+    return activeTrendingWindow === DEFAULT_TRENDING_WINDOW ? 'trending' : 'trending/' + activeTrendingWindow;
+}
+
+function getTrendingWindowStart(windowId) {
+    const now = new Date();
+    if (windowId === 'today') return new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+    if (windowId === 'week') return now.getTime() - PLAY_LOG_DAYS * DAY_MS;
+    return 0;
+}
+
+/**
+ * Cards played in the window, most plays first and the latest played first among equals.
+ * Episodes count for their series. Returns [{ movie, plays, lastPlayed }].
+ */
+function getLocalTrending(windowId) {
+    const since = getTrendingWindowStart(windowId);
+    const stats = new Map();
+    Object.keys(watchHistory).forEach(id => {
+        const entry = watchHistory[id];
+        const plays = windowId === 'all' ? entry.playCount || 0 : (entry.plays || []).filter(time => time >= since).length;
+        if (!plays) return;
+
+        const cardId = getFavoriteId(id);
+        const stat = stats.get(cardId) || { plays: 0, lastPlayed: 0 };
+        stats.set(cardId, { plays: stat.plays + plays, lastPlayed: Math.max(stat.lastPlayed, entry.lastWatched || 0) });
+    });
+
+    return [...stats.keys()]
+        .map(id => ({ movie: findMovieById(id), ...stats.get(id) }))
+        .filter(item => item.movie !== null)
+        .sort((a, b) => b.plays - a.plays || b.lastPlayed - a.lastPlayed)
+        .slice(0, TRENDING_LIMIT);
+}
+
+// videos.trending as the category copies of those movies (same objects, so favorites and history are shared)
+function getCuratedTrending() {
+    return (videos.trending || []).map(entry => findMovieById(entry.id) || entry);
+}
+
+function renderTrendingTabs(t) {
+    const labels = {
+        today: t.trendingToday || 'Today',
+        week: t.trendingWeek || 'This week',
+        all: t.trendingAllTime || 'All time',
+    };
+    return `
+        <div class="col-span-full flex flex-wrap gap-2 justify-center mb-4" role="tablist">
+            ${TRENDING_WINDOWS.map(windowId => `
+                <button onclick="selectTrendingWindow('${windowId}')" role="tab" aria-selected="${windowId === activeTrendingWindow}" class="text-sm px-3 py-1 rounded-full transition duration-200 ${windowId === activeTrendingWindow ? 'active-category-blue' : 'bg-gray-800 text-white hover:bg-gray-700'}">${labels[windowId]}</button>
+            `).join('')}
+        </div>
+    `;
+}
+
+window.selectTrendingWindow = function(windowId) {
+    activeTrendingWindow = TRENDING_WINDOWS.includes(windowId) ? windowId : DEFAULT_TRENDING_WINDOW;
+    displayTrending();
+    updateRoute(getTrendingRoute());
+}
+
+
+// -------------------------------------------------------------------------
+// 21. ACCESSIBILITY (D-pad / arrow-key navigation, modal focus, player shortcuts)
+// -------------------------------------------------------------------------
+
+const FOCUSABLE_SELECTOR = 'button:not([disabled]), a[href], input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), iframe, video[controls], [tabindex]:not([tabindex="-1"])';
+const SPATIAL_KEYS = { ArrowUp: [0, -1], ArrowDown: [0, 1], ArrowLeft: [-1, 0], ArrowRight: [1, 0] };
+const SPATIAL_OVERLAP_PX = 4; // Neighbours may overlap the focused element a little (hover scale, borders)
+const BACK_KEYS = ['Escape', 'GoBack', 'BrowserBack'];
+const BACK_KEY_CODES = [461, 10009]; // webOS and Tizen remotes only report Back as a keyCode
+const TEXT_INPUT_TYPES = ['text', 'search', 'email', 'url', 'tel', 'password'];
+
+const PLAYER_SHORTCUTS = {
+    f: () => {
+        if (document.fullscreenElement || !document.getElementById('player-container').classList.contains('hidden')) toggleFullScreen();
+    },
+    l: toggleFavoriteShortcut,
+    n: () => playNextEpisode(),
+    p: () => playPreviousEpisode(),
+    MediaTrackNext: () => playNextEpisode(),
+    MediaTrackPrevious: () => playPreviousEpisode(),
+    '?': () => {
+        const t = getTranslations();
+        showCustomAlert(t.shortcutsTitle || 'Keyboard shortcuts', t.shortcutsHelp || 'F: full screen · L: favorite · N / P: next / previous episode · Arrows: move · Esc: close');
+    },
+};
+
+const modalStack = []; // { modal, onClose, returnFocus }, topmost last
+
+function isFocusVisible(el) {
+    return el.getClientRects().length > 0 && !el.closest('.hidden, .pointer-events-none');
+}
+
+function getFocusableElements(root) {
+    return [...root.querySelectorAll(FOCUSABLE_SELECTOR)].filter(isFocusVisible);
+}
+
+// Screen-reader only message (role="status" region in index.html)
+function announce(message) {
+    const status = document.getElementById('a11y-status');
+    if (!status) return;
+    status.textContent = '';
+    setTimeout(() => { status.textContent = message; }, 50); // A changed text is announced again
+}
+
+/**
+ * Moves focus into `modal` and remembers where it was: Tab stays inside the modal,
+ * Escape / Back calls onClose, closeModal() returns focus. Calling it again for an
+ * open modal (a re-render) only puts focus back inside.
+ */
+function openModal(modal, onClose, initialFocus) {
+    if (!modalStack.some(entry => entry.modal === modal)) {
+        modalStack.push({ modal, onClose, returnFocus: document.activeElement });
+    } else if (!initialFocus && modal.contains(document.activeElement)) {
+        return;
+    }
+    const target = initialFocus || getFocusableElements(modal)[0] || modal;
+    if (target === modal) modal.setAttribute('tabindex', '-1');
+    target.focus();
+}
+
+function closeModal(modal) {
+    const index = modalStack.findIndex(entry => entry.modal === modal);
+    if (index === -1) return;
+    const [entry] = modalStack.splice(index, 1);
+    const returnFocus = entry.returnFocus;
+    if (returnFocus && returnFocus.isConnected && returnFocus !== document.body && isFocusVisible(returnFocus)) returnFocus.focus();
+}
+
+function getTopModal() {
+    return modalStack.length ? modalStack[modalStack.length - 1] : null;
+}
+
+function trapTabKey(event, modal) {
+    const focusable = getFocusableElements(modal);
+    const active = document.activeElement;
+    if (!focusable.length) {
+        event.preventDefault();
+        return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (event.shiftKey && (active === first || !modal.contains(active))) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && (active === last || !modal.contains(active))) {
+        event.preventDefault();
+        first.focus();
+    }
+}
+
+// Nearest candidate ahead in the pressed direction; the sideways offset counts double so rows and columns line up
+function findSpatialTarget(from, [dx, dy], candidates) {
+    const origin = from.getBoundingClientRect();
+    let best = null;
+    let bestScore = Infinity;
+
+    candidates.forEach(el => {
+        if (el === from || el.contains(from) || from.contains(el)) return;
+        const rect = el.getBoundingClientRect();
+        const gap = dx > 0 ? rect.left - origin.right
+            : dx < 0 ? origin.left - rect.right
+            : dy > 0 ? rect.top - origin.bottom
+            : origin.top - rect.bottom;
+        if (gap < -SPATIAL_OVERLAP_PX) return;
+
+        const offset = dx
+            ? Math.abs((rect.top + rect.height / 2) - (origin.top + origin.height / 2))
+            : Math.abs((rect.left + rect.width / 2) - (origin.left + origin.width / 2));
+        const score = Math.max(gap, 0) + 2 * offset;
+        if (score < bestScore) {
+            best = el;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+// Selects, sliders, <video> and multi-line fields use the arrows themselves; text fields keep left/right for the caret
+function ownsArrowKey(el, dx) {
+    if (!el) return false;
+    if (['SELECT', 'TEXTAREA', 'VIDEO'].includes(el.tagName) || el.isContentEditable) return true;
+    if (el.tagName !== 'INPUT') return false;
+    if (TEXT_INPUT_TYPES.includes(el.type)) return dx !== 0;
+    return ['range', 'number', 'radio', 'date', 'time'].includes(el.type);
+}
+
+function isTypingTarget(el) {
+    return Boolean(el) && (el.tagName === 'TEXTAREA' || el.tagName === 'SELECT' || el.isContentEditable
+        || (el.tagName === 'INPUT' && !['button', 'checkbox', 'radio', 'submit', 'reset', 'file'].includes(el.type)));
+}
+
+function moveFocus(event, direction) {
+    const active = document.activeElement;
+    if (ownsArrowKey(active, direction[0])) return;
+
+    const topModal = getTopModal();
+    const scope = topModal ? topModal.modal : document.body;
+    const candidates = getFocusableElements(scope);
+    const target = active && active !== document.body && scope.contains(active)
+        ? findSpatialTarget(active, direction, candidates)
+        : candidates.find(el => el.closest('#movies')) || candidates[0]; // First press picks a start point
+    if (!target) return;
+
+    event.preventDefault();
+    target.focus({ preventScroll: true });
+    // The header and the bottom nav are fixed; only the page content needs to scroll
+    target.scrollIntoView({ block: target.closest('#header-sticky, #nav-bar') ? 'nearest' : 'center', inline: 'nearest' });
+}
+
+function toggleFavoriteShortcut() {
+    if (!currentPlayingMovie) return;
+    toggleFavorite(currentPlayingMovie.id);
+    announce(favorites.includes(getFavoriteId(currentPlayingMovie.id))
+        ? translate('favoriteAdded', { title: currentPlayingMovie.title }, 'Added {title} to Favorites')
+        : translate('favoriteRemoved', { title: currentPlayingMovie.title }, 'Removed {title} from Favorites'));
+}
+
+function handleKeydown(event) {
+    const topModal = getTopModal();
+
+    if (BACK_KEYS.includes(event.key) || BACK_KEY_CODES.includes(event.keyCode)) {
+        if (!topModal) return;
+        event.preventDefault();
+        topModal.onClose();
+        return;
+    }
+    if (event.key === 'Tab') {
+        if (topModal) trapTabKey(event, topModal.modal);
+        return;
+    }
+    if (SPATIAL_KEYS[event.key]) {
+        if (!event.altKey && !event.ctrlKey && !event.metaKey) moveFocus(event, SPATIAL_KEYS[event.key]);
+        return;
+    }
+
+    const key = event.key && event.key.length === 1 ? event.key.toLowerCase() : event.key;
+    const shortcut = PLAYER_SHORTCUTS[key];
+    if (!shortcut || topModal || event.altKey || event.ctrlKey || event.metaKey || isTypingTarget(document.activeElement)) return;
+    event.preventDefault();
+    shortcut();
+}
+
+// Keeps focus inside the topmost modal when something else (a click, a script) moves it out
+function handleFocusIn(event) {
+    const topModal = getTopModal();
+    if (!topModal || topModal.modal.contains(event.target)) return;
+    const first = getFocusableElements(topModal.modal)[0];
+    if (first) first.focus();
+}
+
+document.addEventListener('keydown', handleKeydown);
+document.addEventListener('focusin', handleFocusIn);
+
+
+// -------------------------------------------------------------------------
+// 22. THEMES (CSS variables in style.css: dark, light, AMOLED or the system's; custom accent)
+// -------------------------------------------------------------------------
+
+const THEMES = ['system', 'dark', 'light', 'amoled'];
+const ACCENT_PRESETS = ['#FFD700', '#E50914', '#3B82F6', '#22C55E', '#EC4899', '#A855F7'];
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const systemLightQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: light)') : null;
+
+function resolveTheme(theme) {
+    if (theme === 'system') return systemLightQuery && systemLightQuery.matches ? 'light' : 'dark';
+    return THEMES.includes(theme) ? theme : defaultSettings.theme;
+}
+
+// Black or white, whichever reads better on `hex` (WCAG relative luminance)
+function getContrastColor(hex) {
+    const [r, g, b] = [1, 3, 5].map(i => {
+        const channel = parseInt(hex.slice(i, i + 2), 16) / 255;
+        return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b > 0.179 ? '#000000' : '#FFFFFF';
+}
+
+function applyTheme() {
+    const root = document.documentElement;
+    const accent = HEX_COLOR_PATTERN.test(currentSettings.accent || '') ? currentSettings.accent : '';
+
+    root.dataset.theme = resolveTheme(currentSettings.theme);
+    if (accent) {
+        root.style.setProperty('--color-accent', accent);
+        root.style.setProperty('--color-accent-contrast', getContrastColor(accent));
+    } else {
+        root.style.removeProperty('--color-accent');
+        root.style.removeProperty('--color-accent-contrast');
+    }
+
+    // Browser UI (address bar, Android task switcher) matches the page background
+    const themeColor = document.querySelector('meta[name="theme-color"]');
+    const background = getComputedStyle(root).getPropertyValue('--color-bg').trim();
+    if (themeColor && background) themeColor.setAttribute('content', background);
+}
+
+function renderThemeOptions(t) {
+    const labels = {
+        system: t.themeSystem || 'System',
+        dark: t.themeDark || 'Dark',
+        light: t.themeLight || 'Light',
+        amoled: t.themeAmoled || 'AMOLED black',
+    };
+    return THEMES.map(theme => `<option value="${theme}" ${currentSettings.theme === theme ? 'selected' : ''}>${labels[theme]}</option>`).join('');
+}
+
+function renderAccentPicker(t) {
+    const accent = HEX_COLOR_PATTERN.test(currentSettings.accent || '') ? currentSettings.accent.toUpperCase() : '';
+    return `
+        <div class="flex justify-between items-center mb-4">
+            <p>${t.accentLabel || 'Accent color:'}</p>
+            <div class="flex items-center space-x-1">
+                ${ACCENT_PRESETS.map(color => `<button onclick="changeAccent('${color}')" class="accent-swatch w-6 h-6 rounded-full border-2" style="background-color: ${color}" data-accent="${color}" title="${color}" aria-label="${color}" aria-pressed="${accent === color}"></button>`).join('')}
+                <input id="accent-input" type="color" value="${accent || ACCENT_PRESETS[0]}" oninput="changeAccent(this.value)" aria-label="${t.accentCustom || 'Custom color'}" class="w-7 h-7 bg-transparent rounded cursor-pointer">
+                <button onclick="changeAccent('')" class="text-xs text-gray-400 hover:text-white px-1">${t.accentReset || 'Default'}</button>
+            </div>
+        </div>
+    `;
+}
+
+window.changeAccent = function(color) {
+    currentSettings.accent = HEX_COLOR_PATTERN.test(color) ? color.toUpperCase() : '';
+    try {
+        localStorage.setItem('userSettings', JSON.stringify(currentSettings));
+    } catch (e) { /* Error */ }
+
+    applyTheme();
+    document.querySelectorAll('.accent-swatch').forEach(swatch => {
+        swatch.setAttribute('aria-pressed', String(swatch.dataset.accent === currentSettings.accent));
+    });
+}
+
+if (systemLightQuery && systemLightQuery.addEventListener) {
+    systemLightQuery.addEventListener('change', () => {
+        if (currentSettings.theme === 'system') applyTheme();
+    });
 }
 
 
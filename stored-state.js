@@ -0,0 +1,88 @@
+/**
+ * WY MovieBox - Saved state in localStorage (settings, favorites, collections, history...)
+ * Every key is read on its own: a value that is missing, not JSON or of the wrong shape (an old
+ * build, a hand-edited value, storage blocked in private mode) falls back to its default instead
+ * of stopping the app from starting.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.StoredState = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function isOptionalArray(value) {
+        return value === undefined || Array.isArray(value);
+    }
+
+    // Keys that hold id => record maps, with the check each record must pass (fields the app computes with)
+    const RECORD_MAPS = {
+        watchHistory: record => Number.isFinite(record.lastWatched) && Number.isFinite(record.playCount) && isOptionalArray(record.plays),
+        categoryVisits: record => isOptionalArray(record.ids),
+        playbackFailures: () => true,
+    };
+
+    // The parsed value, or undefined when it is missing, not JSON or storage can't be read
+    function readJson(storage, key) {
+        try {
+            const stored = storage.getItem(key);
+            return stored === null ? undefined : JSON.parse(stored);
+        } catch (e) {
+            return undefined;
+        }
+    }
+
+    // Known settings keep their default when the saved value has another type; unknown ones are kept
+    function parseSettings(value, defaults) {
+        const settings = { ...defaults };
+        if (!isPlainObject(value)) return settings;
+        Object.keys(value).forEach(key => {
+            if (!(key in defaults) || typeof value[key] === typeof defaults[key]) settings[key] = value[key];
+        });
+        return settings;
+    }
+
+    function parseFavorites(value) {
+        return Array.isArray(value) ? value.filter(id => typeof id === 'string' && id) : [];
+    }
+
+    function parseCollections(value) {
+        if (!Array.isArray(value)) return [];
+        return value
+            .filter(list => isPlainObject(list) && typeof list.id === 'string' && list.id && typeof list.name === 'string' && Array.isArray(list.items))
+            .map(list => ({ ...list, items: parseFavorites(list.items) }));
+    }
+
+    function parseObject(value) {
+        return isPlainObject(value) ? value : {};
+    }
+
+    // Records that aren't objects or fail their check are dropped; the others are kept as they are
+    function parseRecords(value, isValid) {
+        const records = {};
+        Object.entries(parseObject(value)).forEach(([id, record]) => {
+            if (isPlainObject(record) && isValid(record)) records[id] = record;
+        });
+        return records;
+    }
+
+    function loadState(storage, defaultSettings) {
+        const state = {
+            settings: parseSettings(readJson(storage, 'userSettings'), defaultSettings),
+            favorites: parseFavorites(readJson(storage, 'favorites')),
+            collections: parseCollections(readJson(storage, 'collections')),
+            parentalLock: parseObject(readJson(storage, 'parentalLock')),
+        };
+        Object.keys(RECORD_MAPS).forEach(key => {
+            state[key] = parseRecords(readJson(storage, key), RECORD_MAPS[key]);
+        });
+        return state;
+    }
+
+    return { loadState, readJson, parseSettings, parseFavorites, parseCollections, parseObject, parseRecords };
+});
@@ -0,0 +1,180 @@
+/**
+ * WY MovieBox - Service worker (offline app shell, catalog and thumbnails)
+ * - App shell: precached, cache first. Bump CACHE_VERSION together with the ?v= of the scripts.
+ * - Same-origin JSON (catalog, category files, languages, legacy ids): stale-while-revalidate;
+ *   pages are told when the copy is stale or updated.
+ * - Remote catalog sources and their files: network first, the cached copy when offline.
+ * - Thumbnails: cache first, at most MAX_THUMBNAILS, least recently used evicted first.
+ * Cross-origin files are cached only when their host allows CORS: an opaque response counts as
+ * megabytes against the storage quota. A file that can't be cached is still shown.
+ */
+
+const CACHE_VERSION = 'v4.6';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const DATA_CACHE = 'data';
+const THUMB_CACHE = 'thumbnails';
+const OLD_CACHES = ['thumbs']; // Held opaque thumbnails
+const MAX_THUMBNAILS = 300;
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'script.js?v=4.6',
+    'catalog-validator.js?v=4.6',
+    'i18n.js?v=4.6',
+    'catalog-ids.js?v=4.6',
+    'stored-state.js?v=4.6',
+    'style.css?v=4.6',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+];
+const DATA_FILES = ['videos_photos.json', 'i18n/languages.json']; // Extra language files are cached when first used
+const TAILWIND_URL = 'https://cdn.tailwindcss.com/'; // Without it the cached page is unstyled
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(SHELL_FILES);
+        await shell.add(new Request(TAILWIND_URL, { mode: 'cors', credentials: 'omit' })).catch(() => { /* Cached on first online use */ });
+        const data = await caches.open(DATA_CACHE);
+        await data.addAll(DATA_FILES);
+        await data.addAll(await getCategoryFiles(data)).catch(() => { /* Cached when the category is first opened */ });
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => (name.startsWith('shell-') && name !== SHELL_CACHE) || OLD_CACHES.includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirstPage(request));
+    } else if (url.pathname.endsWith('.json')) {
+        if (request.cache === 'no-cache') return; // The catalog editor (admin.html) always reads the current files
+        // Remote catalog sources publish versioned updates that should show on the visit they appear
+        event.respondWith(sameOrigin ? staleWhileRevalidate(event) : networkFirstData(event));
+    } else if (sameOrigin || url.href.startsWith(TAILWIND_URL)) {
+        event.respondWith(cacheFirst(request, SHELL_CACHE));
+    } else if (request.destination === 'image') {
+        event.respondWith(cachedThumbnail(request));
+    }
+    // Everything else (YouTube, mega.nz, video files) goes straight to the network
+});
+
+// categories[].file of the cached catalog, so every category opens offline
+async function getCategoryFiles(cache) {
+    const catalog = await (await cache.match('videos_photos.json')).json();
+    return (Array.isArray(catalog.categories) ? catalog.categories : [])
+        .map(meta => meta && meta.file)
+        .filter(file => typeof file === 'string');
+}
+
+// Fresh page when online, the precached one otherwise
+async function networkFirstPage(request) {
+    try {
+        return await fetch(request);
+    } catch (e) {
+        const shell = await caches.open(SHELL_CACHE);
+        return (await shell.match(request, { ignoreSearch: true })) || shell.match('index.html');
+    }
+}
+
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetchCacheable(request);
+    if (response.ok) putInCache(cache, request, response.clone());
+    return response;
+}
+
+// Cross-origin files are asked for with CORS, so the response can be cached; hosts without CORS get the page's own request
+async function fetchCacheable(request) {
+    if (new URL(request.url).origin === self.location.origin || request.mode === 'cors') return fetch(request);
+    try {
+        return await fetch(new Request(request.url, { mode: 'cors', credentials: 'omit' }));
+    } catch (e) {
+        return fetch(request);
+    }
+}
+
+// False when the cache is full (quota exceeded): the response is still used, just not kept
+async function putInCache(cache, request, response) {
+    try {
+        await cache.put(request, response);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+async function notifyClient(clientId, message) {
+    const client = clientId && await self.clients.get(clientId);
+    if (client) client.postMessage(message);
+}
+
+async function staleWhileRevalidate(event) {
+    const request = event.request;
+    const cache = await caches.open(DATA_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    const cachedText = cached ? cached.clone().text() : null; // Read before the page consumes `cached`
+
+    const refresh = fetch(request).then(async response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const changed = cachedText !== null && (await cachedText) !== (await response.clone().text());
+        await putInCache(cache, request, response.clone());
+        if (changed) notifyClient(event.clientId, { type: 'catalog-updated', url: request.url });
+        return response;
+    });
+
+    if (!cached) return refresh;
+    event.waitUntil(refresh.catch(() => notifyClient(event.clientId, { type: 'catalog-offline', url: request.url })));
+    return cached;
+}
+
+// The cached copy only when the network fails (offline, or the page gave up waiting)
+async function networkFirstData(event) {
+    const request = event.request;
+    const cache = await caches.open(DATA_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) event.waitUntil(cache.put(request, response.clone()));
+        return response;
+    } catch (e) {
+        const cached = await cache.match(request);
+        if (!cached) throw e;
+        notifyClient(event.clientId, { type: 'catalog-offline', url: request.url });
+        return cached;
+    }
+}
+
+// LRU: Cache keys keep insertion order, so a hit is re-inserted at the end and the front is evicted
+async function cachedThumbnail(request) {
+    const cache = await caches.open(THUMB_CACHE);
+    const cached = await cache.match(request);
+    if (cached) {
+        await cache.delete(request);
+        await putInCache(cache, request, cached.clone());
+        return cached;
+    }
+
+    const response = await fetchCacheable(request);
+    if (response.ok && await putInCache(cache, request, response.clone())) {
+        const keys = await cache.keys();
+        await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_THUMBNAILS)).map(key => cache.delete(key)));
+    }
+    return response;
+}
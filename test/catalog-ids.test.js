@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { deriveMovieId, getEntryId, indexCategory, hashString } = require('../catalog-ids.js');
+
+test('deriveMovieId uses the YouTube video id in every link form', () => {
+    assert.equal(deriveMovieId('https://www.youtube.com/embed/x9dzRs-tr5w'), 'yt-x9dzRs-tr5w');
+    assert.equal(deriveMovieId('https://www.youtube-nocookie.com/embed/x9dzRs-tr5w?start=5'), 'yt-x9dzRs-tr5w');
+    assert.equal(deriveMovieId('https://youtube.com/watch?v=x9dzRs-tr5w'), 'yt-x9dzRs-tr5w');
+    assert.equal(deriveMovieId('https://youtu.be/x9dzRs-tr5w'), 'yt-x9dzRs-tr5w');
+});
+
+test('deriveMovieId uses the mega.nz file handle, not the key', () => {
+    assert.equal(deriveMovieId('https://mega.nz/embed/AbCdEfGh#key-one'), 'mega-AbCdEfGh');
+    assert.equal(deriveMovieId('https://mega.nz/file/AbCdEfGh#key-two'), 'mega-AbCdEfGh');
+});
+
+test('deriveMovieId hashes other sources the same way every time', () => {
+    const src = 'https://cdn.example.com/movie.mp4';
+    assert.equal(deriveMovieId(src), 'src-' + hashString(src));
+    assert.equal(deriveMovieId(src), deriveMovieId(src));
+    assert.notEqual(deriveMovieId(src), deriveMovieId('https://cdn.example.com/other.mp4'));
+});
+
+test('getEntryId keeps a pinned id and names a series after its first episode', () => {
+    assert.equal(getEntryId({ id: 'pinned', src: 'https://youtu.be/x9dzRs-tr5w' }), 'pinned');
+    const series = { title: 'Series', seasons: [{ episodes: [{ src: 'https://youtu.be/aaaaaaaaaaa' }, { src: 'https://youtu.be/bbbbbbbbbbb' }] }] };
+    assert.equal(getEntryId(series), 'series-yt-aaaaaaaaaaa');
+});
+
+test('indexCategory indexes series episodes with their position and series', () => {
+    const series = {
+        title: 'Series',
+        thumb: 'https://example.com/series.jpg',
+        seasons: [
+            { episodes: [{ src: 'https://youtu.be/aaaaaaaaaaa' }] },
+            { episodes: [{ src: 'https://youtu.be/bbbbbbbbbbb', thumb: 'https://example.com/own.jpg' }] },
+        ],
+    };
+    const index = indexCategory(new Map(), 'drama', [series]);
+
+    assert.deepEqual([...index.keys()], ['yt-aaaaaaaaaaa', 'yt-bbbbbbbbbbb', 'series-yt-aaaaaaaaaaa']);
+    const episode = index.get('yt-bbbbbbbbbbb').movie;
+    assert.equal(episode.seriesId, 'series-yt-aaaaaaaaaaa');
+    assert.equal(episode.seasonIndex, 1);
+    assert.equal(episode.episodeIndex, 0);
+    assert.equal(episode.thumb, 'https://example.com/own.jpg');
+    assert.equal(index.get('yt-aaaaaaaaaaa').movie.thumb, 'https://example.com/series.jpg');
+});
+
+test('indexCategory prefers the category copy over the trending one, in either load order', () => {
+    const entry = () => ({ title: 'Movie', src: 'https://youtu.be/x9dzRs-tr5w' });
+
+    const trendingFirst = indexCategory(indexCategory(new Map(), 'trending', [entry()]), 'action', [entry()]);
+    assert.equal(trendingFirst.get('yt-x9dzRs-tr5w').category, 'action');
+
+    const categoryFirst = indexCategory(indexCategory(new Map(), 'action', [entry()]), 'trending', [entry()]);
+    assert.equal(categoryFirst.get('yt-x9dzRs-tr5w').category, 'action');
+});
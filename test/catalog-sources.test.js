@@ -0,0 +1,222 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp, settle, snapshotStorage, firstCatalogMovie, readRepoFile } = require('./helpers/app.js');
+
+const BUNDLED = JSON.parse(readRepoFile('videos_photos.json'));
+const REMOTE_URL = 'https://example.com/moviebox/catalog.json';
+const SECOND_URL = 'https://example.org/catalog.json';
+const { movie: BUNDLED_MOVIE, id: BUNDLED_ID } = firstCatalogMovie();
+const NEW_MOVIE = { title: 'New remote movie', thumb: 'https://example.com/new.jpg', src: 'https://www.youtube.com/embed/bbbbbbbbbbb' };
+
+// The bundled catalog with `sources` (and a version, so unchanged catalogs are recognised)
+function withSources(sources, version = 'b1') {
+    return { ...BUNDLED, version, sources };
+}
+
+function remoteCatalog(videos, extra = {}) {
+    return { categories: Object.keys(videos).map(id => ({ id })), videos, ...extra };
+}
+
+test('markup in a remote catalog is shown as text, never run', async t => {
+    const { window, document, logs } = await bootApp({
+        routes: {
+            'videos_photos.json': withSources([{ id: 'community', url: REMOTE_URL }]),
+            [REMOTE_URL]: {
+                version: '1',
+                categories: [{ id: 'action', icon: '<b id="pwn-icon">!</b>' }, { id: 'x\');alert(1);(\'' }],
+                videos: {
+                    action: [{
+                        title: '<img id="pwn-title" src="x">',
+                        thumb: 'https://example.com/thumb.jpg" id="pwn-thumb',
+                        src: 'https://www.youtube.com/embed/aaaaaaaaaaa',
+                    }],
+                },
+                translations: { myanmar: { action: '<i id="pwn-name">', navHome: '<i id="pwn-nav">' } },
+            },
+        },
+    });
+    t.after(() => window.close());
+
+    assert.equal(document.querySelector('[id^="pwn-"]'), null);
+    const card = document.querySelector('#movies [data-movie-id="yt-aaaaaaaaaaa"]');
+    assert.ok(card.textContent.includes('<img id="pwn-title" src="x">'));
+    assert.equal(card.querySelector('img').getAttribute('src'), 'https://example.com/thumb.jpg" id="pwn-thumb');
+
+    const actionButton = document.querySelector('.menu-btn[data-category="action"]');
+    assert.ok(actionButton.textContent.includes('<b id="pwn-icon">!</b>'));
+    assert.ok(actionButton.textContent.includes(BUNDLED.translations.myanmar.action), 'remote translations are not used');
+    assert.equal(document.querySelector('.nav-btn[data-nav="home"] [data-i18n]').textContent, BUNDLED.translations.myanmar.navHome);
+    assert.equal(document.querySelectorAll('.menu-btn').length, BUNDLED.categories.length, 'the category with a bad id is left out');
+    assert.ok(logs.some(entry => entry.message.includes('community: categories[1]')));
+
+    window.openMovieDetails('yt-aaaaaaaaaaa');
+    assert.equal(document.querySelector('[id^="pwn-"]'), null);
+    assert.equal(document.getElementById('movie-detail-title').textContent, '<img id="pwn-title" src="x">');
+});
+
+test('the catalogSources override is only read while developing on this machine', async t => {
+    const storage = { catalogSources: [{ id: 'test', url: REMOTE_URL }] };
+    const routes = { [REMOTE_URL]: remoteCatalog({ action: [] }) };
+
+    const local = await bootApp({ storage, routes });
+    t.after(() => local.window.close());
+    assert.ok(local.fetch.requests.includes(REMOTE_URL));
+
+    const deployed = await bootApp({ origin: 'https://moviebox.example/', storage, routes });
+    t.after(() => deployed.window.close());
+    assert.ok(!deployed.fetch.requests.includes(REMOTE_URL));
+    assert.ok(deployed.document.querySelectorAll('#movies [data-movie-id]').length > 0);
+});
+
+function cardIds(document) {
+    return [...document.querySelectorAll('#movies [data-movie-id]')].map(card => card.dataset.movieId);
+}
+
+function cardTitle(document, id) {
+    return document.querySelector(`#movies [data-movie-id="${id}"] p`).textContent;
+}
+
+test('a remote source replaces movies by ID in place and lists its new movies first', async t => {
+    const { window, document } = await bootApp({
+        routes: {
+            'videos_photos.json': withSources([{ id: 'community', url: REMOTE_URL }]),
+            [REMOTE_URL]: remoteCatalog({ action: [{ ...BUNDLED_MOVIE, title: 'Remote title' }, NEW_MOVIE] }),
+        },
+    });
+    t.after(() => window.close());
+
+    const ids = cardIds(document);
+    assert.deepEqual(ids.slice(0, 2), ['yt-bbbbbbbbbbb', BUNDLED_ID]);
+    assert.equal(ids.filter(id => id === BUNDLED_ID).length, 1);
+    assert.equal(cardTitle(document, BUNDLED_ID), 'Remote title');
+});
+
+test('a later source wins over an earlier one', async t => {
+    const { window, document } = await bootApp({
+        routes: {
+            'videos_photos.json': withSources([{ id: 'first', url: REMOTE_URL }, { id: 'second', url: SECOND_URL }]),
+            [REMOTE_URL]: remoteCatalog({ action: [{ ...NEW_MOVIE, title: 'From the first source' }] }),
+            [SECOND_URL]: remoteCatalog({ action: [{ ...NEW_MOVIE, title: 'From the second source' }] }),
+        },
+    });
+    t.after(() => window.close());
+
+    assert.equal(cardTitle(document, 'yt-bbbbbbbbbbb'), 'From the second source');
+});
+
+test('a remote source that fails is left out', async t => {
+    const { window, document, logs } = await bootApp({
+        routes: {
+            'videos_photos.json': withSources([{ id: 'community', url: REMOTE_URL }]),
+            [REMOTE_URL]: 500,
+        },
+    });
+    t.after(() => window.close());
+
+    assert.ok(cardIds(document).includes(BUNDLED_ID));
+    assert.equal(document.getElementById('custom-alert-modal').classList.contains('hidden'), true);
+    assert.ok(logs.some(entry => entry.level === 'error' && entry.message.includes('"community" catalog')));
+});
+
+test('a remote source that does not answer within 8 seconds is left out', async t => {
+    const delays = [];
+    const { window, document, logs } = await bootApp({
+        routes: {
+            'videos_photos.json': withSources([{ id: 'slow', url: REMOTE_URL }]),
+            [REMOTE_URL]: () => new Promise(() => { /* Never answers */ }),
+        },
+        setup: window => {
+            // Run the 8 s timeout right away instead of waiting for it
+            const setTimeout = window.setTimeout;
+            window.setTimeout = (callback, delay, ...args) => {
+                delays.push(delay);
+                return setTimeout(callback, delay === 8000 ? 0 : delay, ...args);
+            };
+        },
+    });
+    t.after(() => window.close());
+
+    assert.ok(delays.includes(8000));
+    assert.ok(cardIds(document).includes(BUNDLED_ID));
+    assert.ok(logs.some(entry => entry.level === 'error' && entry.message.includes('"slow" catalog')));
+});
+
+function categoryFileRequests(fetch) {
+    return fetch.requests.filter(file => file.startsWith('catalog/'));
+}
+
+test('the first start loads only the category it shows', async t => {
+    const { window, fetch } = await bootApp();
+    t.after(() => window.close());
+
+    assert.deepEqual(categoryFileRequests(fetch), [BUNDLED.categories[0].file]);
+});
+
+// Starts with `firstRemote` as the remote catalog and opens Drama, then again with the saved state and `secondRemote`
+async function reopenWith(t, firstRemote, secondRemote) {
+    const sources = [{ id: 'community', url: REMOTE_URL }];
+    const first = await bootApp({ routes: { 'videos_photos.json': withSources(sources), [REMOTE_URL]: firstRemote } });
+    t.after(() => first.window.close());
+    assert.equal(first.document.querySelector('.new-movies-badge'), null, 'nothing is new on the first visit');
+    for (const category of ['drama', BUNDLED.categories[0].id]) { // Back to the first, the category the next start shows
+        first.window.showCategory(category, first.document.querySelector(`.menu-btn[data-category="${category}"]`));
+        await settle();
+    }
+
+    const second = await bootApp({
+        storage: snapshotStorage(first.window),
+        routes: { 'videos_photos.json': withSources(sources), [REMOTE_URL]: secondRemote },
+    });
+    t.after(() => second.window.close());
+    await settle();
+    return second;
+}
+
+test('movies added by a new catalog version get an "N new" badge until the category is opened', async t => {
+    const { window, document } = await reopenWith(t,
+        remoteCatalog({ drama: [] }, { version: '1' }),
+        remoteCatalog({ drama: [NEW_MOVIE] }, { version: '2' }));
+
+    const drama = document.querySelector('.menu-btn[data-category="drama"]');
+    const badge = drama.querySelector('.new-movies-badge');
+    assert.ok(badge);
+    assert.match(badge.textContent, /1/);
+
+    window.showCategory('drama', drama);
+    await settle();
+    assert.equal(drama.querySelector('.new-movies-badge'), null);
+});
+
+test('unchanged catalog versions load no category files at start', async t => {
+    const remote = remoteCatalog({ drama: [] }, { version: '1' });
+    const { fetch } = await reopenWith(t, remote, remote);
+
+    assert.ok(!fetch.requests.includes('catalog/drama.json'));
+    assert.ok(!fetch.requests.includes('catalog/cartoon.json'));
+});
+
+test('categories never opened get no badge and are not loaded at start', async t => {
+    const { document, fetch } = await reopenWith(t,
+        remoteCatalog({ cartoon: [] }, { version: '1' }),
+        remoteCatalog({ cartoon: [NEW_MOVIE] }, { version: '2' }));
+
+    assert.equal(document.querySelector('.menu-btn[data-category="cartoon"] .new-movies-badge'), null);
+    assert.ok(!fetch.requests.includes('catalog/cartoon.json'));
+});
+
+test('a source with neither "version" nor ETag loads no category files at start', async t => {
+    const remote = remoteCatalog({ drama: [] });
+    const { fetch } = await reopenWith(t, remote, remote);
+
+    assert.deepEqual(categoryFileRequests(fetch), [BUNDLED.categories[0].file]);
+});
+
+test('without a "version" the ETag header tells catalog updates apart', async t => {
+    const withEtag = (etag, videos) => () => new Response(JSON.stringify(remoteCatalog(videos)), { status: 200, headers: { ETag: etag } });
+    const { document } = await reopenWith(t, withEtag('"a"', { drama: [] }), withEtag('"b"', { drama: [NEW_MOVIE] }));
+
+    assert.ok(document.querySelector('.menu-btn[data-category="drama"] .new-movies-badge'));
+
+    const same = await reopenWith(t, withEtag('"a"', { drama: [] }), withEtag('"a"', { drama: [] }));
+    assert.ok(!same.fetch.requests.includes('catalog/drama.json'));
+});
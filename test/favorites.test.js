@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp, settle, readStorage, snapshotStorage, firstCatalogMovie, readRepoFile } = require('./helpers/app.js');
+const { getEntryId, isSeries } = require('../catalog-ids.js');
+
+const { id: MOVIE_ID } = firstCatalogMovie();
+const MESSAGES = JSON.parse(readRepoFile('videos_photos.json')).translations.myanmar;
+
+function favoriteCards(document) {
+    return [...document.querySelectorAll('#movies [data-movie-id]')].map(card => card.dataset.movieId);
+}
+
+test('toggleFavorite saves and removes a favorite', async t => {
+    const { window } = await bootApp();
+    t.after(() => window.close());
+
+    window.toggleFavorite(MOVIE_ID);
+    assert.deepEqual(readStorage(window, 'favorites'), [MOVIE_ID]);
+
+    window.toggleFavorite(MOVIE_ID);
+    assert.deepEqual(readStorage(window, 'favorites'), []);
+});
+
+test('favorites are still there after a restart', async t => {
+    const first = await bootApp();
+    t.after(() => first.window.close());
+    first.window.toggleFavorite(MOVIE_ID);
+
+    const second = await bootApp({ hash: '#/favorites', storage: snapshotStorage(first.window) });
+    t.after(() => second.window.close());
+    assert.deepEqual(favoriteCards(second.document), [MOVIE_ID]);
+});
+
+test('the Favorites view updates when a favorite is removed', async t => {
+    const { window, document } = await bootApp({ hash: '#/favorites', storage: { favorites: [MOVIE_ID] } });
+    t.after(() => window.close());
+    assert.deepEqual(favoriteCards(document), [MOVIE_ID]);
+
+    window.toggleFavorite(MOVIE_ID);
+    await settle();
+    assert.deepEqual(favoriteCards(document), []);
+    assert.ok(document.getElementById('movies').textContent.includes(MESSAGES.noFavorites));
+});
+
+test('the player heart follows the favorite state', async t => {
+    const { window, document } = await bootApp();
+    t.after(() => window.close());
+    const heart = document.getElementById('favorite-btn');
+
+    window.playVideo(MOVIE_ID);
+    await settle();
+    assert.ok(heart.classList.contains('text-gray-500'));
+
+    window.toggleFavorite(); // The playing movie
+    assert.ok(heart.classList.contains('text-red-500'));
+    assert.deepEqual(readStorage(window, 'favorites'), [MOVIE_ID]);
+});
+
+test('an episode is saved as its series', async t => {
+    const series = JSON.parse(readRepoFile('catalog/action.json')).find(isSeries);
+    const episodeId = getEntryId(series.seasons[0].episodes[0]);
+    const { window } = await bootApp();
+    t.after(() => window.close());
+
+    window.toggleFavorite(episodeId);
+    assert.deepEqual(readStorage(window, 'favorites'), [getEntryId(series)]);
+});
+
+test('"Sort by category" lists favorites in menu order, then by title', async t => {
+    const movie = (title, key) => ({ title, thumb: `https://example.com/${key}.jpg`, src: `https://www.youtube.com/embed/${key.repeat(11)}` });
+    const { window, document } = await bootApp({
+        hash: '#/favorites',
+        storage: { favorites: ['yt-aaaaaaaaaaa', 'yt-bbbbbbbbbbb', 'yt-ccccccccccc'] },
+        routes: {
+            'catalog/action.json': [movie('Zulu', 'a'), movie('Yankee', 'c')],
+            'catalog/drama.json': [movie('Alpha', 'b')],
+        },
+    });
+    t.after(() => window.close());
+
+    window.setFavoritesSort('category');
+    await settle();
+    assert.deepEqual(favoriteCards(document), ['yt-ccccccccccc', 'yt-aaaaaaaaaaa', 'yt-bbbbbbbbbbb'], 'Action comes before Drama in the menu');
+});
+
+test('favorites saved by old builds ("v1") are moved to stable IDs', async t => {
+    const legacyIds = JSON.parse(readRepoFile('legacy_ids.json'));
+    const { window, fetch } = await bootApp({ storage: { favorites: ['v1', 'v2', 'v1'] } });
+    t.after(() => window.close());
+
+    assert.ok(fetch.requests.includes('legacy_ids.json'));
+    assert.deepEqual(readStorage(window, 'favorites'), [legacyIds.v1, legacyIds.v2]);
+});
+
+test('old favorites are kept as they are when the ID map cannot be loaded', async t => {
+    const { window } = await bootApp({ storage: { favorites: ['v1'] }, routes: { 'legacy_ids.json': 404 } });
+    t.after(() => window.close());
+
+    assert.deepEqual(readStorage(window, 'favorites'), ['v1']);
+});
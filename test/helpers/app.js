@@ -0,0 +1,131 @@
+/**
+ * Boots index.html with the app scripts in jsdom. Files are served from the repo by a local fetch
+ * stub, so the tests never touch the network.
+ */
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const CatalogIds = require('../../catalog-ids.js');
+
+const ROOT = path.join(__dirname, '..', '..');
+const ORIGIN = 'http://localhost/';
+const LOCAL_SCRIPT_PATTERN = /<script src="(?!https?:)([^"?]+)(?:\?[^"]*)?"><\/script>/g;
+
+function readRepoFile(file) {
+    return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+// Same-origin requests are keyed by their path ("catalog/action.json"), others by their full URL.
+// A route replaces the repo file: a status code, an Error (network failure), a string body, JSON or a
+// Response, or a function returning (a promise of) one of those, to answer later or differently each
+// time. A request aborted through its signal rejects like a real one.
+function createFetch(routes = {}, origin = ORIGIN) {
+    const requests = [];
+    const fetch = async (url, options = {}) => {
+        const parsed = new URL(String(url), origin);
+        const key = parsed.origin + '/' === origin ? decodeURIComponent(parsed.pathname.slice(1)) : parsed.href;
+        requests.push(key);
+
+        let route = Object.prototype.hasOwnProperty.call(routes, key) ? routes[key] : undefined;
+        if (typeof route === 'function') {
+            const { signal } = options;
+            route = await Promise.race([
+                route(key),
+                new Promise((resolve, reject) => {
+                    if (signal) signal.addEventListener('abort', () => reject(new DOMException('The operation was aborted.', 'AbortError')));
+                }),
+            ]);
+        }
+        if (route instanceof Error) throw route;
+        if (route instanceof Response) return route;
+        if (typeof route === 'number') return new Response('', { status: route });
+        if (route !== undefined) {
+            return new Response(typeof route === 'string' ? route : JSON.stringify(route), { status: 200, headers: { 'Content-Type': 'application/json' } });
+        }
+        if (parsed.origin + '/' !== origin || !fs.existsSync(path.join(ROOT, key)) || !fs.statSync(path.join(ROOT, key)).isFile()) {
+            return new Response('', { status: 404 });
+        }
+        return new Response(readRepoFile(key), { status: 200, headers: { 'Content-Type': 'application/json' } });
+    };
+    fetch.requests = requests;
+    return fetch;
+}
+
+// Waits for pending fetches and renders (the stub answers right away)
+async function settle(rounds = 5) {
+    for (let i = 0; i < rounds; i++) await new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Options:
+ *   hash     initial route, e.g. '#/favorites'
+ *   origin   where the app is served from (default http://localhost/)
+ *   storage  localStorage before the app starts: key => string (stored as is) or value (stored as JSON)
+ *   routes   see createFetch
+ *   setup    called with the window before the scripts run (to stub browser APIs)
+ * Resolves with { window, document, fetch, logs } once initializeApp has finished.
+ */
+async function bootApp({ hash = '', origin = ORIGIN, storage = {}, routes = {}, setup } = {}) {
+    const html = readRepoFile('index.html');
+    const scripts = [...html.matchAll(LOCAL_SCRIPT_PATTERN)].map(match => match[1]);
+
+    const logs = [];
+    const virtualConsole = new VirtualConsole();
+    ['log', 'info', 'warn', 'error'].forEach(level => {
+        virtualConsole.on(level, (...args) => logs.push({ level, message: args.map(String).join(' ') }));
+    });
+    virtualConsole.on('jsdomError', error => logs.push({ level: 'jsdomError', message: error.message }));
+
+    const dom = new JSDOM(html.replace(/<script[^>]*><\/script>/g, ''), {
+        url: origin + hash,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole,
+    });
+    const { window } = dom;
+    const fetch = createFetch(routes, origin);
+    window.fetch = fetch;
+    window.open = () => null;
+    Object.entries(storage).forEach(([key, value]) => {
+        window.localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+    });
+    if (setup) setup(window);
+
+    scripts.forEach(file => window.eval(readRepoFile(file)));
+
+    // script.js starts itself on DOMContentLoaded; wait for that run to finish
+    await new Promise((resolve, reject) => {
+        const initializeApp = window.initializeApp;
+        window.initializeApp = () => {
+            const started = initializeApp();
+            started.then(resolve, reject);
+            return started;
+        };
+    });
+    await settle();
+    return { window, document: window.document, fetch, logs };
+}
+
+function readStorage(window, key) {
+    return JSON.parse(window.localStorage.getItem(key));
+}
+
+// Every key in localStorage, to start another bootApp with the same saved state ("reload")
+function snapshotStorage(window) {
+    const storage = {};
+    for (let i = 0; i < window.localStorage.length; i++) {
+        const key = window.localStorage.key(i);
+        storage[key] = window.localStorage.getItem(key);
+    }
+    return storage;
+}
+
+// Any category entry from the bundled catalog files, with its stable ID
+function firstCatalogMovie() {
+    const catalog = JSON.parse(readRepoFile('videos_photos.json'));
+    const category = catalog.categories.find(meta => meta.file);
+    const movie = JSON.parse(readRepoFile(category.file)).find(entry => entry.src);
+    return { category: category.id, movie, id: CatalogIds.getEntryId(movie) };
+}
+
+module.exports = { bootApp, createFetch, settle, readStorage, snapshotStorage, firstCatalogMovie, readRepoFile, ROOT };
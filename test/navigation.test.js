@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp, settle } = require('./helpers/app.js');
+
+function navButton(document, nav) {
+    return document.querySelector(`.nav-btn[data-nav="${nav}"]`);
+}
+
+function activeNav(document) {
+    return [...document.querySelectorAll('.nav-btn')].filter(btn => btn.getAttribute('aria-current') === 'page').map(btn => btn.dataset.nav);
+}
+
+test('the app starts on Home with the first category selected', async t => {
+    const { window, document } = await bootApp();
+    t.after(() => window.close());
+
+    assert.deepEqual(activeNav(document), ['home']);
+    assert.ok(!document.getElementById('nav-bar').classList.contains('opacity-50'), 'buttons are enabled');
+    assert.equal(document.getElementById('loading-indicator'), null);
+    const selected = document.querySelector('.menu-btn[aria-pressed="true"]');
+    assert.equal(selected.dataset.category, 'action');
+    assert.equal(window.location.hash, '#/category/action');
+    assert.ok(document.querySelectorAll('#movies [data-movie-id]').length > 0);
+});
+
+test('changeNav marks one button active and updates the route', async t => {
+    const { window, document } = await bootApp();
+    t.after(() => window.close());
+
+    window.changeNav(navButton(document, 'favorites'));
+    assert.deepEqual(activeNav(document), ['favorites']);
+    assert.ok(navButton(document, 'favorites').classList.contains('text-primary'));
+    assert.ok(navButton(document, 'home').classList.contains('text-gray-400'));
+    assert.ok(!navButton(document, 'home').classList.contains('text-primary'));
+    assert.equal(window.location.hash, '#/favorites');
+
+    window.changeNav(navButton(document, 'trending'));
+    assert.deepEqual(activeNav(document), ['trending']);
+    assert.equal(window.location.hash, '#/trending');
+});
+
+test('Profile hides the category menu and the player; Home brings them back', async t => {
+    const { window, document } = await bootApp();
+    t.after(() => window.close());
+
+    window.changeNav(navButton(document, 'profile'));
+    assert.equal(window.location.hash, '#/profile');
+    assert.ok(document.getElementById('menu-bar').classList.contains('hidden'));
+    assert.ok(document.getElementById('player-container').classList.contains('hidden'));
+    assert.ok(document.getElementById('language-select'), 'the settings are shown');
+
+    window.changeNav(navButton(document, 'home'));
+    await settle();
+    assert.ok(!document.getElementById('menu-bar').classList.contains('hidden'));
+    assert.ok(!document.getElementById('player-container').classList.contains('hidden'));
+    assert.equal(document.querySelector('.menu-btn[aria-pressed="true"]').dataset.category, 'action');
+});
+
+test('ModApp opens in the browser and stays on Home', async t => {
+    const { window, document } = await bootApp();
+    t.after(() => window.close());
+    const opened = [];
+    window.open = (url, target) => opened.push([url, target]);
+
+    window.changeNav(navButton(document, 'modapp'));
+    assert.deepEqual(opened, [['https://myanmar-tv.vercel.app/', '_blank']]);
+    assert.deepEqual(activeNav(document), ['home']);
+});
+
+test('a category stays selected across starts', async t => {
+    const first = await bootApp();
+    t.after(() => first.window.close());
+
+    const drama = first.document.querySelector('.menu-btn[data-category="drama"]');
+    first.window.showCategory('drama', drama);
+    await settle();
+    assert.equal(drama.getAttribute('aria-pressed'), 'true');
+    assert.equal(first.window.location.hash, '#/category/drama');
+    assert.equal(first.window.localStorage.getItem('lastCategory'), 'drama');
+
+    const second = await bootApp({ storage: { lastCategory: 'drama' } });
+    t.after(() => second.window.close());
+    assert.equal(second.document.querySelector('.menu-btn[aria-pressed="true"]').dataset.category, 'drama');
+});
+
+test('a deep link opens its view directly', async t => {
+    const { window, document } = await bootApp({ hash: '#/favorites' });
+    t.after(() => window.close());
+
+    assert.deepEqual(activeNav(document), ['favorites']);
+    assert.equal(window.location.hash, '#/favorites');
+});
+
+test('a malformed link falls back to Home instead of stopping the start', async t => {
+    const { window, document, logs } = await bootApp({ hash: '#/movie/%E0' });
+    t.after(() => window.close());
+
+    assert.ok(!document.getElementById('nav-bar').classList.contains('opacity-50'), 'buttons are enabled');
+    assert.deepEqual(activeNav(document), ['home']);
+
+    window.changeNav(navButton(document, 'favorites'));
+    window.location.hash = '#/category/%E0%A4';
+    await settle();
+    assert.deepEqual(activeNav(document), ['home']);
+    assert.deepEqual(logs.filter(entry => entry.level === 'jsdomError'), []);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp, settle } = require('./helpers/app.js');
+
+const YOUTUBE_MOVIE = { title: 'YouTube movie', src: 'https://www.youtube.com/embed/x9dzRs-tr5w' };
+const FILE_MOVIE = {
+    title: 'File movie',
+    src: 'https://cdn.example.com/movie.mp4',
+    subtitles: [{ src: 'https://cdn.example.com/movie.vtt', lang: 'my' }],
+};
+
+// A YT API stand-in: destroy() removes the iframe, as the real one does
+function stubYouTube(window, players) {
+    window.YT = {
+        PlayerState: { PLAYING: 1, PAUSED: 2, ENDED: 0 },
+        Player: class {
+            constructor(id) {
+                this.iframe = window.document.getElementById(id);
+                this.destroyed = false;
+                players.push(this);
+            }
+            destroy() {
+                this.destroyed = true;
+                this.iframe.remove();
+            }
+        },
+    };
+}
+
+function stubObjectUrls(window, urls) {
+    window.URL.createObjectURL = () => {
+        const url = `blob:http://localhost/${urls.created.length}`;
+        urls.created.push(url);
+        return url;
+    };
+    window.URL.revokeObjectURL = url => urls.revoked.push(url);
+}
+
+test('closing a YouTube movie destroys its API player and keeps the iframe for the next one', async t => {
+    const players = [];
+    const { window, document } = await bootApp({
+        routes: { 'catalog/action.json': [YOUTUBE_MOVIE, FILE_MOVIE] },
+        setup: window => stubYouTube(window, players),
+    });
+    t.after(() => window.close());
+
+    window.playVideo('yt-x9dzRs-tr5w');
+    await settle();
+    assert.equal(players.length, 1);
+
+    window.playVideo(window.CatalogIds.deriveMovieId(FILE_MOVIE.src));
+    assert.ok(players[0].destroyed);
+    assert.ok(document.getElementById('iframePlayer'), 'the iframe is back in the player');
+
+    window.playVideo('yt-x9dzRs-tr5w');
+    await settle();
+    assert.equal(players.length, 2);
+    assert.equal(players[1].iframe, document.getElementById('iframePlayer'));
+});
+
+test('a subtitle that finishes loading after the player closed is released', async t => {
+    const urls = { created: [], revoked: [] };
+    let answerSubtitle;
+    const { window } = await bootApp({
+        routes: {
+            'catalog/action.json': [YOUTUBE_MOVIE, FILE_MOVIE],
+            [FILE_MOVIE.subtitles[0].src]: () => new Promise(resolve => { answerSubtitle = resolve; }),
+        },
+        setup: window => {
+            stubYouTube(window, []);
+            stubObjectUrls(window, urls);
+        },
+    });
+    t.after(() => window.close());
+
+    window.playVideo(window.CatalogIds.deriveMovieId(FILE_MOVIE.src));
+    await settle();
+    window.playVideo('yt-x9dzRs-tr5w');
+
+    answerSubtitle('WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nမင်္ဂလာပါ\n');
+    await settle();
+    assert.equal(urls.created.length, 1);
+    assert.deepEqual(urls.revoked, urls.created);
+    assert.equal(window.document.querySelectorAll('#videoPlayer track').length, 0);
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readRepoFile } = require('./helpers/app.js');
+
+const SW = readRepoFile('sw.js');
+const CACHE_VERSION = SW.match(/const CACHE_VERSION = 'v([\d.]+)';/)[1];
+const SHELL_FILES = SW.match(/const SHELL_FILES = \[([\s\S]*?)\];/)[1].match(/'[^']+'/g).map(file => file.slice(1, -1));
+
+// A release bumps CACHE_VERSION and every ?v= together, or installed apps keep the old shell
+test('every versioned file uses the CACHE_VERSION of sw.js', () => {
+    ['index.html', 'admin.html', 'sw.js'].forEach(file => {
+        const versions = [...readRepoFile(file).matchAll(/\?v=([\d.]+)/g)].map(match => match[1]);
+        assert.ok(versions.length > 0, `${file} has versioned files`);
+        versions.forEach(version => assert.equal(version, CACHE_VERSION, `${file} links ?v=${version}`));
+    });
+});
+
+test('the service worker precaches every script and style of index.html', () => {
+    const linked = [...readRepoFile('index.html').matchAll(/(?:src|href)="(?!https?:)([^"]+\?v=[^"]+)"/g)].map(match => match[1]);
+    assert.ok(linked.length > 0);
+    linked.forEach(file => assert.ok(SHELL_FILES.includes(file), `${file} is in SHELL_FILES`));
+});
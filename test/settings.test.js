@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp, readStorage, readRepoFile } = require('./helpers/app.js');
+
+const { translations } = JSON.parse(readRepoFile('videos_photos.json'));
+const THAI = JSON.parse(readRepoFile('i18n/thai.json'));
+
+function navLabel(document, nav) {
+    return document.querySelector(`.nav-btn[data-nav="${nav}"] [data-i18n]`).textContent;
+}
+
+test('the app starts in Myanmar with the dark theme', async t => {
+    const { window, document } = await bootApp();
+    t.after(() => window.close());
+
+    assert.equal(document.documentElement.lang, 'my');
+    assert.equal(document.documentElement.dataset.theme, 'dark');
+    assert.equal(navLabel(document, 'home'), translations.myanmar.navHome);
+});
+
+test('changeLanguage translates the page, saves the choice and keeps the current view', async t => {
+    const { window, document } = await bootApp({ hash: '#/profile' });
+    t.after(() => window.close());
+
+    await window.changeLanguage('english');
+    assert.equal(document.documentElement.lang, 'en');
+    assert.equal(navLabel(document, 'favorites'), translations.english.navFavorites);
+    assert.equal(readStorage(window, 'userSettings').language, 'english');
+    assert.equal(document.querySelector('.nav-btn[aria-current="page"]').dataset.nav, 'profile');
+    assert.equal(document.getElementById('language-select').value, 'english');
+});
+
+test('a saved language is used from the start', async t => {
+    const { window, document } = await bootApp({ storage: { userSettings: { language: 'english' } } });
+    t.after(() => window.close());
+
+    assert.equal(document.documentElement.lang, 'en');
+    assert.equal(navLabel(document, 'home'), translations.english.navHome);
+});
+
+test('a language file is fetched once, when the language is first used', async t => {
+    const { window, document, fetch } = await bootApp();
+    t.after(() => window.close());
+    assert.ok(!fetch.requests.includes('i18n/thai.json'));
+
+    await window.changeLanguage('thai');
+    await window.changeLanguage('english');
+    await window.changeLanguage('thai');
+    assert.equal(fetch.requests.filter(file => file === 'i18n/thai.json').length, 1);
+    assert.equal(document.documentElement.lang, 'th');
+    assert.equal(navLabel(document, 'home'), THAI.navHome);
+});
+
+test('a language file that fails to load falls back to English', async t => {
+    const { window, document } = await bootApp({ routes: { 'i18n/thai.json': 503 } });
+    t.after(() => window.close());
+
+    await window.changeLanguage('thai');
+    assert.equal(navLabel(document, 'home'), translations.english.navHome);
+    assert.equal(readStorage(window, 'userSettings').language, 'thai');
+});
+
+test('the 18+ webview has its own accessible name in every language', async t => {
+    const { window, document } = await bootApp();
+    t.after(() => window.close());
+    const frameTitle = () => document.getElementById('adultWebviewIframe').title;
+
+    assert.equal(frameTitle(), translations.myanmar.adultWebviewTitle);
+    await window.changeLanguage('english');
+    assert.equal(frameTitle(), translations.english.adultWebviewTitle);
+    await window.changeLanguage('thai');
+    assert.equal(frameTitle(), THAI.adultWebviewTitle);
+    assert.notEqual(frameTitle(), THAI.navModApp);
+});
+
+test('changeTheme switches the theme without re-rendering the view', async t => {
+    const { window, document } = await bootApp();
+    t.after(() => window.close());
+    const firstCard = document.querySelector('#movies [data-movie-id]');
+
+    window.changeTheme('light');
+    assert.equal(document.documentElement.dataset.theme, 'light');
+    assert.equal(readStorage(window, 'userSettings').theme, 'light');
+    assert.equal(document.querySelector('#movies [data-movie-id]'), firstCard);
+
+    window.changeTheme('neon');
+    assert.equal(document.documentElement.dataset.theme, 'dark');
+    assert.equal(readStorage(window, 'userSettings').theme, 'dark');
+});
+
+test('the system theme follows the OS setting', async t => {
+    const { window, document } = await bootApp({
+        storage: { userSettings: { theme: 'system' } },
+        setup: window => {
+            window.matchMedia = query => ({ media: query, matches: true, addEventListener() {}, removeEventListener() {} });
+        },
+    });
+    t.after(() => window.close());
+
+    assert.equal(document.documentElement.dataset.theme, 'light');
+});
+
+test('a custom accent color is applied with a readable text color', async t => {
+    const { window, document } = await bootApp();
+    t.after(() => window.close());
+
+    window.changeAccent('#1d4ed8');
+    const style = document.documentElement.style;
+    assert.equal(style.getPropertyValue('--color-accent'), '#1D4ED8');
+    assert.equal(style.getPropertyValue('--color-accent-contrast'), '#FFFFFF');
+    assert.equal(readStorage(window, 'userSettings').accent, '#1D4ED8');
+
+    window.changeAccent('blue');
+    assert.equal(style.getPropertyValue('--color-accent'), '');
+    assert.equal(readStorage(window, 'userSettings').accent, '');
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp, settle, readStorage, firstCatalogMovie, readRepoFile } = require('./helpers/app.js');
+
+const { translations } = JSON.parse(readRepoFile('videos_photos.json'));
+const { id: MOVIE_ID } = firstCatalogMovie();
+
+function isReady(document) {
+    return !document.getElementById('nav-bar').classList.contains('opacity-50') && !document.getElementById('loading-indicator');
+}
+
+function alertText(document) {
+    return document.getElementById('custom-alert-modal').classList.contains('hidden') ? null : document.getElementById('alert-message').textContent;
+}
+
+function movieCards(document) {
+    return document.querySelectorAll('#movies [data-movie-id]').length;
+}
+
+// Corrupted localStorage
+
+test('the app starts when every saved value is corrupted', async t => {
+    const corrupted = '{"broken": ';
+    const { window, document, logs } = await bootApp({
+        storage: Object.fromEntries(['userSettings', 'favorites', 'collections', 'watchHistory', 'parentalLock', 'categoryVisits', 'playbackFailures']
+            .map(key => [key, corrupted])),
+    });
+    t.after(() => window.close());
+
+    assert.ok(isReady(document));
+    assert.equal(document.documentElement.lang, 'my');
+    assert.equal(document.documentElement.dataset.theme, 'dark');
+    assert.ok(movieCards(document) > 0);
+    assert.deepEqual(logs.filter(entry => entry.level === 'jsdomError'), []);
+
+    window.toggleFavorite(MOVIE_ID);
+    assert.deepEqual(readStorage(window, 'favorites'), [MOVIE_ID], 'the corrupted value is replaced on the next save');
+});
+
+test('saved values of the wrong shape are ignored', async t => {
+    const { window, document } = await bootApp({
+        hash: '#/favorites',
+        storage: {
+            userSettings: { language: 42, theme: 'light' },
+            favorites: { 0: MOVIE_ID },
+            collections: [null, { name: 'No items' }],
+            watchHistory: [MOVIE_ID],
+            parentalLock: 'locked',
+        },
+    });
+    t.after(() => window.close());
+
+    assert.ok(isReady(document));
+    assert.equal(document.documentElement.lang, 'my', 'a language that is not a string keeps the default');
+    assert.equal(document.documentElement.dataset.theme, 'light', 'valid settings next to it are kept');
+    assert.equal(movieCards(document), 0);
+    assert.ok(document.getElementById('movies').textContent.includes(translations.myanmar.noFavorites));
+});
+
+test('the app starts when localStorage cannot be read', async t => {
+    const { window, document } = await bootApp({
+        setup: window => {
+            window.Storage.prototype.getItem = () => { throw new window.DOMException('The operation is insecure.', 'SecurityError'); };
+        },
+    });
+    t.after(() => window.close());
+
+    assert.ok(isReady(document));
+    assert.ok(movieCards(document) > 0);
+});
+
+// JSON load failures
+
+for (const [reason, route] of [
+    ['a server error', 500],
+    ['a network error', new TypeError('Failed to fetch')],
+    ['invalid JSON', '{"categories": ['],
+]) {
+    test(`a catalog that fails to load (${reason}) shows an error and leaves the app usable`, async t => {
+        const { window, document } = await bootApp({ routes: { 'videos_photos.json': route } });
+        t.after(() => window.close());
+
+        assert.ok(isReady(document));
+        assert.ok(alertText(document).includes('JSON'));
+        assert.equal(movieCards(document), 0);
+        assert.equal(document.querySelectorAll('.menu-btn').length, 0);
+
+        window.changeNav(document.querySelector('.nav-btn[data-nav="profile"]'));
+        assert.ok(document.getElementById('language-select'), 'other views still open');
+    });
+}
+
+test('a category file that fails to load shows an error in its place and is retried', async t => {
+    const routes = { 'catalog/action.json': 404 };
+    const { window, document, fetch } = await bootApp({ routes });
+    t.after(() => window.close());
+
+    assert.equal(alertText(document), null, 'the rest of the catalog loaded');
+    assert.equal(movieCards(document), 0);
+    assert.ok(document.getElementById('movies').textContent.includes(translations.myanmar.jsonError));
+
+    delete routes['catalog/action.json'];
+    window.showCategory('action', document.querySelector('.menu-btn[data-category="action"]'));
+    await settle();
+    assert.equal(fetch.requests.filter(file => file === 'catalog/action.json').length, 2);
+    assert.ok(movieCards(document) > 0);
+});
+
+test('a category file with bad entries shows the valid ones', async t => {
+    const entries = JSON.parse(readRepoFile('catalog/action.json'));
+    const { window, document, logs } = await bootApp({ routes: { 'catalog/action.json': [{ title: 'No source' }, ...entries.slice(0, 2)] } });
+    t.after(() => window.close());
+
+    assert.equal(movieCards(document), 2);
+    assert.ok(logs.some(entry => entry.level === 'warn' && entry.message.startsWith('Catalog problem')));
+});
+
+test('a missing language list only offers the catalog languages', async t => {
+    const { window, document } = await bootApp({ routes: { 'i18n/languages.json': new TypeError('Failed to fetch') } });
+    t.after(() => window.close());
+
+    assert.ok(isReady(document));
+    assert.equal(document.documentElement.lang, 'my');
+    window.changeNav(document.querySelector('.nav-btn[data-nav="profile"]'));
+    const languages = [...document.querySelectorAll('#language-select option')].map(option => option.value);
+    assert.deepEqual(languages.sort(), Object.keys(translations).sort());
+});
+
+test('history records of the wrong shape do not break Trending', async t => {
+    const { window, document } = await bootApp({
+        hash: '#/trending',
+        storage: { watchHistory: { 'yt-abc': null, [MOVIE_ID]: { playCount: 1, lastWatched: Date.now(), plays: [Date.now()] } } },
+    });
+    t.after(() => window.close());
+
+    assert.ok(isReady(document));
+    assert.equal(document.querySelector('.nav-btn[aria-current="page"]').dataset.nav, 'trending');
+    assert.ok(movieCards(document) > 0);
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadState, readJson } = require('../stored-state.js');
+
+const DEFAULT_SETTINGS = { language: 'myanmar', theme: 'dark', accent: '', favoritesSort: 'added' };
+
+function createStorage(values = {}) {
+    return { getItem: key => (Object.prototype.hasOwnProperty.call(values, key) ? values[key] : null) };
+}
+
+test('an empty storage gives the defaults', () => {
+    assert.deepEqual(loadState(createStorage(), DEFAULT_SETTINGS), {
+        settings: DEFAULT_SETTINGS,
+        favorites: [],
+        collections: [],
+        watchHistory: {},
+        parentalLock: {},
+        categoryVisits: {},
+        playbackFailures: {},
+    });
+});
+
+test('saved values are read back', () => {
+    const history = { 'yt-x9dzRs-tr5w': { title: 'Movie', playCount: 2, lastWatched: 1700000000000 } };
+    const state = loadState(createStorage({
+        userSettings: JSON.stringify({ language: 'english', theme: 'light' }),
+        favorites: JSON.stringify(['yt-x9dzRs-tr5w']),
+        collections: JSON.stringify([{ id: 'c1', name: 'Weekend', items: ['yt-x9dzRs-tr5w'] }]),
+        watchHistory: JSON.stringify(history),
+    }), DEFAULT_SETTINGS);
+
+    assert.deepEqual(state.settings, { ...DEFAULT_SETTINGS, language: 'english', theme: 'light' });
+    assert.deepEqual(state.favorites, ['yt-x9dzRs-tr5w']);
+    assert.deepEqual(state.collections, [{ id: 'c1', name: 'Weekend', items: ['yt-x9dzRs-tr5w'] }]);
+    assert.deepEqual(state.watchHistory, history);
+});
+
+test('values that are not JSON fall back to the defaults one key at a time', () => {
+    const state = loadState(createStorage({
+        userSettings: '{"language": "english"',
+        favorites: 'yt-x9dzRs-tr5w',
+        watchHistory: 'undefined',
+        parentalLock: JSON.stringify({ hideAdult: true }),
+    }), DEFAULT_SETTINGS);
+
+    assert.deepEqual(state.settings, DEFAULT_SETTINGS);
+    assert.deepEqual(state.favorites, []);
+    assert.deepEqual(state.watchHistory, {});
+    assert.deepEqual(state.parentalLock, { hideAdult: true });
+});
+
+test('values of the wrong shape fall back to the defaults', () => {
+    const state = loadState(createStorage({
+        userSettings: '[]',
+        favorites: '{"0": "yt-x9dzRs-tr5w"}',
+        collections: '"Weekend"',
+        watchHistory: '[1, 2]',
+        parentalLock: 'null',
+        categoryVisits: '42',
+        playbackFailures: 'true',
+    }), DEFAULT_SETTINGS);
+
+    assert.deepEqual(state.settings, DEFAULT_SETTINGS);
+    assert.deepEqual(state.favorites, []);
+    assert.deepEqual(state.collections, []);
+    assert.deepEqual(state.watchHistory, {});
+    assert.deepEqual(state.parentalLock, {});
+    assert.deepEqual(state.categoryVisits, {});
+    assert.deepEqual(state.playbackFailures, {});
+});
+
+test('settings of the wrong type keep their default; unknown settings are kept', () => {
+    const state = loadState(createStorage({
+        userSettings: JSON.stringify({ language: 5, theme: 'amoled', accent: null, futureOption: true }),
+    }), DEFAULT_SETTINGS);
+
+    assert.deepEqual(state.settings, { ...DEFAULT_SETTINGS, theme: 'amoled', futureOption: true });
+});
+
+test('bad favorites and collections are dropped, good ones kept', () => {
+    const state = loadState(createStorage({
+        favorites: JSON.stringify(['yt-x9dzRs-tr5w', null, 7, '', { id: 'x' }, 'v42']),
+        collections: JSON.stringify([
+            { id: 'c1', name: 'Weekend', items: ['yt-x9dzRs-tr5w', 3] },
+            { id: 'c2', items: [] },
+            { id: 'c3', name: 'Broken', items: 'yt-x9dzRs-tr5w' },
+            null,
+        ]),
+    }), DEFAULT_SETTINGS);
+
+    assert.deepEqual(state.favorites, ['yt-x9dzRs-tr5w', 'v42']);
+    assert.deepEqual(state.collections, [{ id: 'c1', name: 'Weekend', items: ['yt-x9dzRs-tr5w'] }]);
+});
+
+test('history, failure and visit records of the wrong shape are dropped', () => {
+    const state = loadState(createStorage({
+        watchHistory: JSON.stringify({
+            'yt-aaaaaaaaaaa': null,
+            'yt-bbbbbbbbbbb': 'watched',
+            'yt-ccccccccccc': { playCount: 1, plays: 'today' },
+            'yt-ddddddddddd': { playCount: 2, lastWatched: 1700000000000, plays: [1700000000000] },
+        }),
+        playbackFailures: JSON.stringify({ 'https://youtu.be/x': [], 'https://youtu.be/y': { count: 1 } }),
+        categoryVisits: JSON.stringify({ action: { signature: null, ids: 'yt-aaaaaaaaaaa' }, drama: { signature: null, ids: [] }, cartoon: 0 }),
+    }), DEFAULT_SETTINGS);
+
+    assert.deepEqual(state.watchHistory, { 'yt-ddddddddddd': { playCount: 2, lastWatched: 1700000000000, plays: [1700000000000] } });
+    assert.deepEqual(state.playbackFailures, { 'https://youtu.be/y': { count: 1 } });
+    assert.deepEqual(state.categoryVisits, { drama: { signature: null, ids: [] } });
+});
+
+test('history records without a numeric playCount and lastWatched are dropped', () => {
+    const kept = { playCount: 1, lastWatched: 1700000000000 };
+    const state = loadState(createStorage({
+        watchHistory: JSON.stringify({
+            'yt-aaaaaaaaaaa': {},
+            'yt-bbbbbbbbbbb': { playCount: 'x', lastWatched: 1700000000000 },
+            'yt-ccccccccccc': { playCount: 1, lastWatched: '2023-11-14' },
+            'yt-ddddddddddd': { playCount: 1 },
+            'yt-eeeeeeeeeee': kept,
+        }),
+    }), DEFAULT_SETTINGS);
+
+    assert.deepEqual(state.watchHistory, { 'yt-eeeeeeeeeee': kept });
+});
+
+test('collections without a string id are dropped', () => {
+    const state = loadState(createStorage({
+        collections: JSON.stringify([
+            { name: 'No id', items: [] },
+            { id: 4, name: 'Number id', items: [] },
+            { id: '', name: 'Empty id', items: [] },
+            { id: 'c1', name: 'Weekend', items: [] },
+        ]),
+    }), DEFAULT_SETTINGS);
+
+    assert.deepEqual(state.collections, [{ id: 'c1', name: 'Weekend', items: [] }]);
+});
+
+test('storage that throws on read (blocked in private mode) gives the defaults', () => {
+    const storage = { getItem: () => { throw new Error('SecurityError'); } };
+    assert.equal(readJson(storage, 'favorites'), undefined);
+    assert.deepEqual(loadState(storage, DEFAULT_SETTINGS).settings, DEFAULT_SETTINGS);
+});
+
+test('the defaults object is never changed', () => {
+    const defaults = { ...DEFAULT_SETTINGS };
+    const state = loadState(createStorage({ userSettings: JSON.stringify({ theme: 'light' }) }), defaults);
+    state.settings.language = 'thai';
+    assert.deepEqual(defaults, DEFAULT_SETTINGS);
+});
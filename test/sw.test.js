@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { readRepoFile } = require('./helpers/app.js');
+
+const ORIGIN = 'http://localhost';
+const REMOTE_URL = 'https://example.com/moviebox/catalog.json';
+
+// sw.js in a sandbox with in-memory caches; `network` maps URLs to response bodies (missing: offline).
+// Hosts in `noCors` send no CORS headers: a no-cors request gets an opaque response, a CORS one fails.
+function loadServiceWorker(network, { noCors = [], cacheFull = false } = {}) {
+    const stores = new Map();
+    const messages = [];
+    const listeners = {};
+    const cacheFor = name => {
+        if (!stores.has(name)) stores.set(name, new Map());
+        const store = stores.get(name);
+        const key = request => (typeof request === 'string' ? new URL(request, ORIGIN).href : request.url);
+        return {
+            match: async (request, options = {}) => {
+                const url = key(request);
+                const hit = options.ignoreSearch ? [...store.keys()].find(cached => cached.split('?')[0] === url.split('?')[0]) : url;
+                return store.has(hit) ? store.get(hit).clone() : undefined;
+            },
+            put: async (request, response) => {
+                if (cacheFull) throw new Error('QuotaExceededError');
+                store.set(key(request), response);
+            },
+            delete: async request => store.delete(key(request)),
+            keys: async () => [...store.keys()].map(url => ({ url })),
+        };
+    };
+    const self = {
+        location: { origin: ORIGIN },
+        addEventListener: (type, listener) => { listeners[type] = listener; },
+        clients: { get: async () => ({ postMessage: message => messages.push(message) }) },
+    };
+    const context = {
+        self,
+        caches: { open: async name => cacheFor(name) },
+        fetch: async request => {
+            if (!Object.prototype.hasOwnProperty.call(network, request.url)) throw new TypeError('Failed to fetch');
+            const body = network[request.url];
+            if (noCors.includes(new URL(request.url).host) && new URL(request.url).origin !== ORIGIN) {
+                if (request.mode === 'cors') throw new TypeError('Failed to fetch');
+                return { ok: false, status: 0, type: 'opaque', text: async () => body, clone() { return this; } };
+            }
+            return new Response(body, { status: 200 });
+        },
+        URL,
+        Request,
+        Response,
+        console,
+    };
+    vm.runInNewContext(readRepoFile('sw.js'), context);
+
+    // Dispatches a fetch event and resolves with the response text (undefined when not handled)
+    const request = async (url, options = {}) => {
+        let responded = null;
+        const pending = [];
+        listeners.fetch({
+            request: { method: 'GET', mode: 'cors', cache: 'default', destination: '', url, ...options },
+            clientId: 'page',
+            respondWith: promise => { responded = promise; },
+            waitUntil: promise => pending.push(promise),
+        });
+        if (!responded) return undefined;
+        const text = await (await responded).text();
+        await Promise.all(pending);
+        await new Promise(resolve => setImmediate(resolve)); // Messages are posted without waiting
+        return text;
+    };
+    // Plain copies: objects made inside the sandbox have its prototypes
+    const cachedUrls = () => [...stores.values()].flatMap(store => [...store.keys()]);
+    return { request, messages: () => JSON.parse(JSON.stringify(messages)), cacheFor, cachedUrls };
+}
+
+test('remote catalogs are fetched first, so an update shows on the same visit', async () => {
+    const network = { [REMOTE_URL]: '{"version":"1"}' };
+    const sw = loadServiceWorker(network);
+
+    assert.equal(await sw.request(REMOTE_URL), '{"version":"1"}');
+    network[REMOTE_URL] = '{"version":"2"}';
+    assert.equal(await sw.request(REMOTE_URL), '{"version":"2"}');
+});
+
+test('a remote catalog comes from the cache when offline', async () => {
+    const network = { [REMOTE_URL]: '{"version":"1"}' };
+    const sw = loadServiceWorker(network);
+    await sw.request(REMOTE_URL);
+
+    delete network[REMOTE_URL];
+    assert.equal(await sw.request(REMOTE_URL), '{"version":"1"}');
+    assert.deepEqual(sw.messages(), [{ type: 'catalog-offline', url: REMOTE_URL }]);
+});
+
+test('the bundled catalog is served from the cache and refreshed in the background', async () => {
+    const url = `${ORIGIN}/videos_photos.json`;
+    const network = { [url]: '{"v":2}' };
+    const sw = loadServiceWorker(network);
+    await sw.cacheFor('data').put(url, new Response('{"v":1}'));
+
+    assert.equal(await sw.request(url), '{"v":1}');
+    assert.deepEqual(sw.messages(), [{ type: 'catalog-updated', url }]);
+    assert.equal(await sw.request(url), '{"v":2}');
+});
+
+const THUMB_URL = 'https://i.ytimg.com/vi/aaaaaaaaaaa/hqdefault.jpg';
+const image = { mode: 'no-cors', destination: 'image' };
+
+test('thumbnails are read with CORS and shown from the cache offline', async () => {
+    const network = { [THUMB_URL]: 'jpeg' };
+    const sw = loadServiceWorker(network);
+    assert.equal(await sw.request(THUMB_URL, image), 'jpeg');
+
+    delete network[THUMB_URL];
+    assert.equal(await sw.request(THUMB_URL, image), 'jpeg');
+});
+
+test('thumbnails from a host without CORS are shown but not cached', async () => {
+    const network = { [THUMB_URL]: 'jpeg' };
+    const sw = loadServiceWorker(network, { noCors: ['i.ytimg.com'] });
+    assert.equal(await sw.request(THUMB_URL, image), 'jpeg');
+    assert.deepEqual(sw.cachedUrls(), [], 'an opaque response would take megabytes of quota');
+});
+
+test('thumbnails are still shown when the cache is full', async () => {
+    const sw = loadServiceWorker({ [THUMB_URL]: 'jpeg' }, { cacheFull: true });
+    assert.equal(await sw.request(THUMB_URL, image), 'jpeg');
+});
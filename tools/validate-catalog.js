@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * Validates videos_photos.json offline, together with its category files (categories[].file)
+ * and the extra language files listed in i18n/languages.json.
+ *
+ * Usage: node tools/validate-catalog.js [catalog.json] [--html index.html] [--strict] [--remote]
+ *   --strict  also fail on warnings (duplicate titles/srcs, unknown fields)
+ *   --remote  the file is a remote catalog listed in "sources" (its translations are not used)
+ * Exit code 1 when the catalog has errors.
+ */
+const fs = require('fs');
+const path = require('path');
+const { validateCatalog, isTranslationMessage } = require('../catalog-validator.js');
+
+const ROOT = path.join(__dirname, '..');
+
+function parseArgs(argv) {
+    const args = { catalog: path.join(ROOT, 'videos_photos.json'), html: path.join(ROOT, 'index.html'), strict: false, remote: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--strict') args.strict = true;
+        else if (argv[i] === '--remote') args.remote = true;
+        else if (argv[i] === '--html') args.html = argv[++i];
+        else args.catalog = argv[i];
+    }
+    return args;
+}
+
+// Keys referenced by data-i18n / data-i18n-* attributes in the page
+function findUsedTranslationKeys(html) {
+    const keys = new Set();
+    const pattern = /\sdata-i18n(?:-[\w-]+)?="([^"]+)"/g;
+    let match;
+    while ((match = pattern.exec(html)) !== null) keys.add(match[1]);
+    return [...keys];
+}
+
+// Extra languages (i18n/<file>.json) should define the same keys as the catalog languages
+function checkLanguageFiles(catalogTranslations) {
+    const errors = [];
+    const warnings = [];
+    const configPath = path.join(ROOT, 'i18n', 'languages.json');
+    if (!fs.existsSync(configPath)) return { errors, warnings };
+
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const referenceKeys = new Set(Object.values(catalogTranslations || {}).flatMap(messages => Object.keys(messages || {})));
+    Object.entries(config.languages || {}).forEach(([id, language]) => {
+        if (!language.file) return;
+        const file = `i18n/${language.file}`;
+        let messages;
+        try {
+            messages = JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+        } catch (e) {
+            errors.push({ path: file, message: e.message });
+            return;
+        }
+        Object.keys(messages).filter(key => !isTranslationMessage(messages[key])).forEach(key => {
+            errors.push({ path: `${file} ${key}`, message: 'must be a string or plural forms { "one": ..., "other": ... }' });
+        });
+        const missing = [...referenceKeys].filter(key => !(key in messages));
+        if (missing.length) warnings.push({ path: file, message: `${id} is missing ${missing.length} key(s), shown from its fallback: ${missing.join(', ')}` });
+    });
+    return { errors, warnings };
+}
+
+// Category id => parsed category file; unreadable files are reported as errors
+function readCategoryFiles(data, catalogPath, errors) {
+    const files = {};
+    (Array.isArray(data.categories) ? data.categories : []).forEach(meta => {
+        if (!meta || typeof meta.file !== 'string') return;
+        try {
+            files[meta.id] = JSON.parse(fs.readFileSync(path.join(path.dirname(catalogPath), meta.file), 'utf8'));
+        } catch (e) {
+            errors.push({ path: meta.file, message: e.message });
+        }
+    });
+    return files;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(args.catalog, 'utf8'));
+    } catch (e) {
+        console.error(`✖ ${args.catalog}: ${e.message}`);
+        process.exit(1);
+    }
+
+    const usedTranslationKeys = fs.existsSync(args.html) ? findUsedTranslationKeys(fs.readFileSync(args.html, 'utf8')) : [];
+    const fileErrors = [];
+    const categoryFiles = readCategoryFiles(data, args.catalog, fileErrors);
+    const { errors, warnings, videos } = validateCatalog(data, { usedTranslationKeys: args.remote ? [] : usedTranslationKeys, categoryFiles, remoteSource: args.remote });
+    errors.unshift(...fileErrors);
+    if (!args.remote) {
+        const languageFiles = checkLanguageFiles(data.translations);
+        errors.push(...languageFiles.errors);
+        warnings.push(...languageFiles.warnings);
+    }
+
+    errors.forEach(problem => console.log(`✖ error    ${problem.path}: ${problem.message}`));
+    warnings.forEach(problem => console.log(`⚠ warning  ${problem.path}: ${problem.message}`));
+
+    const entries = Object.values(videos).flat();
+    const videoCount = entries.reduce((sum, entry) => sum + (entry.seasons ? entry.seasons.reduce((n, season) => n + season.episodes.length, 0) : 1), 0);
+    console.log(`\n${path.relative(process.cwd(), args.catalog) || args.catalog}: ${entries.length} valid entries (${videoCount} videos), ${errors.length} error(s), ${warnings.length} warning(s)`);
+
+    if (errors.length || (args.strict && warnings.length)) process.exit(1);
+}
+
+main();